@@ -30,4 +30,20 @@ export default [
       ],
     },
   },
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['src/sw.js'],
+    languageOptions: {
+      globals: {
+        ...globals.serviceworker,
+        __PRECACHE__: 'readonly',
+        __VERSION__: 'readonly',
+      },
+    },
+  },
 ]
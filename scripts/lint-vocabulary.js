@@ -0,0 +1,31 @@
+// Report data-quality problems in the bundled vocabulary.
+// Usage: npm run lint:data [-- path/to/vocabulary.json]
+// Exits with status 1 when any error-level problem is found.
+import { readFile } from "node:fs/promises";
+import { LINT_SEVERITY, lintVocabulary } from "../src/data/lint.js";
+
+const file =
+  process.argv[2] ?? new URL("../src/data/vocabulary.json", import.meta.url);
+const data = JSON.parse(await readFile(file, "utf8"));
+const issues = lintVocabulary(data.words ?? []);
+
+const byRule = new Map();
+for (const issue of issues) {
+  byRule.set(issue.rule, [...(byRule.get(issue.rule) ?? []), issue]);
+}
+for (const [rule, ruleIssues] of byRule) {
+  console.log(`\n${rule} (${ruleIssues.length})`);
+  for (const { severity, ids, message } of ruleIssues) {
+    console.log(`  ${severity.padEnd(7)} ${ids.join(", ")}: ${message}`);
+  }
+}
+
+const errors = issues.filter(
+  (issue) => issue.severity === LINT_SEVERITY.ERROR
+).length;
+console.log(
+  `\n${issues.length} problems (${errors} errors, ${
+    issues.length - errors
+  } warnings)`
+);
+if (errors) process.exitCode = 1;
@@ -0,0 +1,64 @@
+// Vite plugin emitting the service worker (src/sw.js) with the list of files
+// to precache: every file of the build plus the public folder, except
+// pronunciation clips, which are cached as they are played.
+import { createHash } from "node:crypto";
+import { readFile, readdir } from "node:fs/promises";
+import { join, relative, sep } from "node:path";
+
+const SOURCE = new URL("../src/sw.js", import.meta.url);
+const OUTPUT = "sw.js";
+const SKIPPED_PUBLIC_DIRS = ["audio"];
+
+async function listFiles(dir) {
+  const entries = await readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = await Promise.all(
+    entries.map((entry) => {
+      const path = join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(path) : [path];
+    })
+  );
+  return files.flat();
+}
+
+export default function serviceWorker() {
+  let config;
+
+  return {
+    name: "learn-arabic:service-worker",
+    apply: "build",
+    // After index.html and the other assets are in the bundle
+    enforce: "post",
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    async generateBundle(_options, bundle) {
+      const publicFiles = (await listFiles(config.publicDir))
+        .map((path) => relative(config.publicDir, path).split(sep).join("/"))
+        .filter((path) => !SKIPPED_PUBLIC_DIRS.includes(path.split("/")[0]));
+
+      const files = [...Object.keys(bundle), ...publicFiles]
+        .filter((file) => file !== OUTPUT && !file.endsWith(".map"))
+        .sort();
+      const urls = files.map((file) => encodeURI(config.base + file));
+
+      // Built file names carry content hashes, so they identify the version
+      const hash = createHash("sha256");
+      for (const file of files) {
+        const item = bundle[file];
+        hash.update(file);
+        if (item?.type === "asset" && file.endsWith(".html")) {
+          hash.update(item.source);
+        }
+      }
+      const version = hash.digest("hex").slice(0, 12);
+
+      const source = (await readFile(SOURCE, "utf8"))
+        .replace("= __PRECACHE__;", `= ${JSON.stringify(urls, null, 2)};`)
+        .replace("= __VERSION__;", `= ${JSON.stringify(version)};`);
+
+      this.emitFile({ type: "asset", fileName: OUTPUT, source });
+    },
+  };
+}
@@ -0,0 +1,169 @@
+import { memo, useCallback } from "react";
+import { ARABIC_KEYBOARD } from "../constants/keyboard";
+import { useArabicKeyboard } from "../hooks/useArabicKeyboard";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Dotted circle a vowel mark is drawn on, as on printed keyboards
+const MARK_BASE = "◌";
+
+const KEY_CLASS =
+  "min-w-9 h-10 px-2 rounded-lg bg-gray-700 text-gray-100 hover:bg-gray-600 disabled:opacity-50 transition-colors";
+
+// The field's value with its selection (or the character before the caret,
+// for an empty `text`) replaced by `text`, and where the caret ends up
+function edit(input, value, text) {
+  const start = input?.selectionStart ?? value.length;
+  const end = input?.selectionEnd ?? value.length;
+  const from = text || start !== end ? start : Math.max(0, start - 1);
+  return {
+    value: value.slice(0, from) + text + value.slice(end),
+    caret: from + text.length,
+  };
+}
+
+// One key; pressing it with the mouse leaves the caret in the field
+const Key = memo(function Key({
+  text,
+  label = text,
+  name,
+  onType,
+  disabled,
+  arabic = true,
+  className = "font-quran text-xl",
+}) {
+  return (
+    <button
+      type="button"
+      onMouseDown={(e) => e.preventDefault()}
+      onClick={() => onType(text)}
+      disabled={disabled}
+      aria-label={name}
+      title={name}
+      lang={arabic ? "ar" : undefined}
+      className={`${KEY_CLASS} ${className}`}
+    >
+      {label}
+    </button>
+  );
+});
+
+const KeyRow = ({ children }) => (
+  <div className="flex flex-wrap justify-center gap-1">{children}</div>
+);
+
+// Optional on-screen Arabic keyboard typing into the controlled input
+// behind `inputRef`, for machines without an Arabic layout installed
+const ArabicKeyboard = memo(function ArabicKeyboard({
+  inputRef,
+  value,
+  onChange,
+  disabled = false,
+}) {
+  const { t } = useTranslation();
+  const { open, vowels, setOpen, setVowels } = useArabicKeyboard();
+
+  const type = useCallback(
+    (text) => {
+      const input = inputRef.current;
+      const focused = input && document.activeElement === input;
+      const next = edit(input, value, text);
+      onChange(next.value);
+      // Once React has written the new value, put the caret after the
+      // typed text; keyboard users stay on the key they pressed
+      requestAnimationFrame(() => {
+        if (focused) input.setSelectionRange(next.caret, next.caret);
+      });
+    },
+    [inputRef, value, onChange]
+  );
+
+  return (
+    <div className="mt-2">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="text-sm text-indigo-300 hover:underline"
+      >
+        ⌨ {t(open ? "keyboard.hide" : "keyboard.show")}
+      </button>
+      {open && (
+        <div
+          role="group"
+          aria-label={t("keyboard.label")}
+          dir="ltr"
+          className="mt-2 mx-auto max-w-2xl p-2 rounded-xl bg-gray-800 border border-gray-700 space-y-1"
+        >
+          {vowels && (
+            <KeyRow>
+              {ARABIC_KEYBOARD.HARAKAT.map(({ mark, name }) => (
+                <Key
+                  key={name}
+                  text={mark}
+                  label={`${MARK_BASE}${mark}`}
+                  name={t(`keyboard.${name}`)}
+                  onType={type}
+                  disabled={disabled}
+                  className="font-quran text-xl text-amber-300"
+                />
+              ))}
+            </KeyRow>
+          )}
+          <KeyRow>
+            {ARABIC_KEYBOARD.HAMZA.map((letter) => (
+              <Key
+                key={letter}
+                text={letter}
+                onType={type}
+                disabled={disabled}
+                className="font-quran text-xl text-indigo-300"
+              />
+            ))}
+          </KeyRow>
+          {ARABIC_KEYBOARD.LETTERS.map((row) => (
+            <KeyRow key={row[0]}>
+              {row.map((letter) => (
+                <Key
+                  key={letter}
+                  text={letter}
+                  onType={type}
+                  disabled={disabled}
+                />
+              ))}
+            </KeyRow>
+          ))}
+          <KeyRow>
+            <label className="flex items-center gap-2 px-2 text-xs text-gray-400 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={vowels}
+                onChange={(e) => setVowels(e.target.checked)}
+                className="accent-indigo-500"
+              />
+              {t("keyboard.vowels")}
+            </label>
+            <Key
+              text=" "
+              label={t("keyboard.space")}
+              onType={type}
+              disabled={disabled}
+              arabic={false}
+              className="flex-1 max-w-64 text-sm"
+            />
+            <Key
+              text=""
+              label="⌫"
+              name={t("keyboard.backspace")}
+              onType={type}
+              disabled={disabled}
+              arabic={false}
+              className="text-sm"
+            />
+          </KeyRow>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default ArabicKeyboard;
@@ -0,0 +1,106 @@
+import { memo, useState } from "react";
+import {
+  categoryLabel,
+  groupLabel,
+  groupOf,
+  sortCategories,
+} from "../utils/categories";
+import { localized } from "../utils/i18n";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Category facet: one chip per (merged) category with the number of words
+// passing the other filters. Several chips can be selected at once; a word
+// then needs to be in any one of them.
+const CategoryChips = memo(function CategoryChips({
+  counts,
+  selectedCategories,
+  selectedGroup,
+  onToggleCategory,
+  onClearCategories,
+}) {
+  const { locale, t } = useTranslation();
+  const [open, setOpen] = useState(selectedCategories.length > 0);
+
+  // Empty categories stay hidden unless selected, so they can be unselected
+  const visible = sortCategories(
+    new Set([...Object.keys(counts), ...selectedCategories])
+  ).filter((category) => !selectedGroup || groupOf(category) === selectedGroup);
+
+  const rows = [];
+  for (const category of visible) {
+    const group = groupOf(category);
+    if (rows.at(-1)?.group !== group) rows.push({ group, categories: [] });
+    rows.at(-1).categories.push(category);
+  }
+
+  return (
+    <div className="mt-2 max-w-4xl mx-auto text-sm">
+      <div className="flex items-center justify-center gap-3">
+        <button
+          type="button"
+          onClick={() => setOpen((prev) => !prev)}
+          aria-expanded={open}
+          className="text-gray-300 hover:text-gray-100"
+        >
+          {open ? "▾" : "▸"} {t("categories.title")}
+          {selectedCategories.length > 0 && (
+            <span className="ms-1 text-indigo-300">
+              {t("categories.selected", {
+                count: selectedCategories.length,
+              })}
+            </span>
+          )}
+        </button>
+        {selectedCategories.length > 0 && (
+          <button
+            type="button"
+            onClick={onClearCategories}
+            className="text-indigo-300 hover:underline"
+          >
+            {t("categories.clear")}
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="mt-2 space-y-1 text-start">
+          {rows.map(({ group, categories }) => (
+            <div key={group} className="flex flex-wrap items-center gap-1.5">
+              {!selectedGroup && (
+                <span className="w-full sm:w-36 text-xs text-gray-500 sm:text-end sm:pe-2">
+                  {localized(groupLabel(group), locale)}
+                </span>
+              )}
+              {categories.map((category) => {
+                const selected = selectedCategories.includes(category);
+                return (
+                  <button
+                    key={category}
+                    type="button"
+                    onClick={() => onToggleCategory(category)}
+                    aria-pressed={selected}
+                    title={
+                      locale === "bn" ? undefined : categoryLabel(category).bn
+                    }
+                    className={`px-2.5 py-0.5 rounded-full transition-all ${
+                      selected
+                        ? "bg-indigo-600 text-white shadow-lg"
+                        : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+                    }`}
+                  >
+                    {localized(categoryLabel(category), locale)}
+                    <span className="ms-1 opacity-75">
+                      {counts[category] || 0}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default CategoryChips;
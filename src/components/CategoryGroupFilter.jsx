@@ -0,0 +1,49 @@
+import { memo } from "react";
+import { CATEGORY_GROUP_ORDER, groupLabel } from "../utils/categories";
+import { localized } from "../utils/i18n";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Parent category group filter, shown under the status buttons. Groups
+// without words are left out.
+const CategoryGroupFilter = memo(function CategoryGroupFilter({
+  selectedGroup,
+  onSelectGroup,
+  counts,
+}) {
+  const { locale, t } = useTranslation();
+  const groups = counts
+    ? CATEGORY_GROUP_ORDER.filter((group) => counts[group])
+    : CATEGORY_GROUP_ORDER;
+
+  return (
+    <div className="flex flex-wrap justify-center gap-2 my-2 text-sm">
+      <button
+        onClick={() => onSelectGroup(null)}
+        className={`px-3 py-1 rounded-full transition-all ${
+          selectedGroup === null
+            ? "bg-indigo-600 text-white shadow-lg"
+            : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+        }`}
+      >
+        {t("group.all")}
+      </button>
+      {groups.map((group) => (
+        <button
+          key={group}
+          onClick={() => onSelectGroup(group)}
+          title={groupLabel(group).bn}
+          className={`px-3 py-1 rounded-full transition-all ${
+            selectedGroup === group
+              ? "bg-indigo-600 text-white shadow-lg"
+              : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+          }`}
+        >
+          {localized(groupLabel(group), locale)}
+          {counts && <span className="ms-1 opacity-75">{counts[group]}</span>}
+        </button>
+      ))}
+    </div>
+  );
+});
+
+export default CategoryGroupFilter;
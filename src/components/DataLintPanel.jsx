@@ -0,0 +1,61 @@
+import { memo, useMemo } from "react";
+import { Link } from "react-router";
+import { LINT_RULES, LINT_SEVERITY, lintVocabulary } from "../data/lint";
+
+const SEVERITY_STYLES = Object.freeze({
+  [LINT_SEVERITY.ERROR]: "text-rose-300",
+  [LINT_SEVERITY.WARNING]: "text-amber-300",
+});
+
+// Development-only report of data-quality problems in the words in use,
+// the same checks as `npm run lint:data`
+const DataLintPanel = memo(function DataLintPanel({ vocabulary }) {
+  const issues = useMemo(() => lintVocabulary(vocabulary), [vocabulary]);
+
+  return (
+    <section className="bg-gray-800/50 rounded-xl p-4 border border-dashed border-gray-600">
+      <h2 className="text-lg font-semibold mb-2">
+        Data lint{" "}
+        <span className="text-xs text-gray-500 font-normal">dev only</span>
+      </h2>
+      {issues.length === 0 ? (
+        <p className="text-sm text-emerald-300">No problems found</p>
+      ) : (
+        Object.values(LINT_RULES).map((rule) => {
+          const ruleIssues = issues.filter((issue) => issue.rule === rule);
+          if (ruleIssues.length === 0) return null;
+
+          return (
+            <details key={rule} className="mb-2">
+              <summary
+                className={`cursor-pointer ${
+                  SEVERITY_STYLES[ruleIssues[0].severity]
+                }`}
+              >
+                {rule} ({ruleIssues.length})
+              </summary>
+              <ul className="mt-1 ms-4 space-y-1 text-sm text-gray-300">
+                {ruleIssues.map((issue, i) => (
+                  <li key={i}>
+                    {issue.ids.map((id) => (
+                      <Link
+                        key={id}
+                        to={`/word/${id}/edit`}
+                        className="me-2 text-indigo-300 hover:underline"
+                      >
+                        {id}
+                      </Link>
+                    ))}
+                    {issue.message}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          );
+        })
+      )}
+    </section>
+  );
+});
+
+export default DataLintPanel;
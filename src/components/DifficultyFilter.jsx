@@ -0,0 +1,58 @@
+import { memo } from "react";
+import { DIFFICULTY } from "../constants/difficulty";
+import { useTranslation } from "../hooks/useTranslation";
+import DifficultyMark from "./DifficultyMark";
+
+// DifficultyFilter component
+const DifficultyFilter = memo(function DifficultyFilter({
+  selectedDifficulty,
+  onSelectDifficulty,
+}) {
+  const { t } = useTranslation();
+  const difficulties = ["easy", "medium", "hard"];
+
+  return (
+    <div
+      role="group"
+      aria-label={t("browse.difficultyFilter")}
+      className="flex justify-center gap-2 my-4"
+    >
+      <button
+        onClick={() => onSelectDifficulty(null)}
+        aria-pressed={selectedDifficulty === null}
+        aria-keyshortcuts={DIFFICULTY.SHORTCUTS.all}
+        className={`px-4 py-2 rounded-lg transition-all ${
+          selectedDifficulty === null
+            ? "bg-indigo-600 text-white shadow-lg"
+            : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+        }`}
+      >
+        {t("difficulty.all")}
+      </button>
+      {difficulties.map((diff) => (
+        <button
+          key={diff}
+          onClick={() => onSelectDifficulty(diff)}
+          aria-pressed={selectedDifficulty === diff}
+          aria-keyshortcuts={DIFFICULTY.SHORTCUTS[diff]}
+          className={`px-4 py-2 rounded-lg transition-all flex items-center gap-2 ${
+            selectedDifficulty === diff
+              ? `bg-${
+                  diff === "easy"
+                    ? "emerald"
+                    : diff === "medium"
+                    ? "amber"
+                    : "rose"
+                }-600 text-white shadow-lg`
+              : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+          }`}
+        >
+          <DifficultyMark difficulty={diff} />
+          {t(`difficulty.${diff}`)}
+        </button>
+      ))}
+    </div>
+  );
+});
+
+export default DifficultyFilter;
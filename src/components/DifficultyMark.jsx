@@ -0,0 +1,39 @@
+import { memo } from "react";
+import { DIFFICULTY } from "../constants/difficulty";
+
+const STEPS = Object.freeze([
+  { level: 1, height: "h-1" },
+  { level: 2, height: "h-2" },
+  { level: 3, height: "h-3" },
+]);
+
+// Difficulty as one to three rising bars, so it reads without color; an
+// optional label is the tooltip and what screen readers announce
+const DifficultyMark = memo(function DifficultyMark({
+  difficulty,
+  label,
+  className = "",
+}) {
+  const level = DIFFICULTY.ORDER[difficulty] || 0;
+  const color = DIFFICULTY.DOTS[difficulty] || "bg-gray-500";
+
+  return (
+    <span
+      className={`inline-flex items-end gap-px h-3 ${className}`}
+      title={label}
+    >
+      {STEPS.map((step) => (
+        <span
+          key={step.level}
+          aria-hidden="true"
+          className={`w-1 rounded-sm ${step.height} ${color} ${
+            step.level > level ? "opacity-30" : ""
+          }`}
+        />
+      ))}
+      {label && <span className="sr-only">{label}</span>}
+    </span>
+  );
+});
+
+export default DifficultyMark;
@@ -0,0 +1,23 @@
+import { useTranslation } from "../hooks/useTranslation";
+
+// Fallback component for error boundary
+const ErrorFallback = ({ error, resetErrorBoundary }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="p-6 bg-red-900/30 rounded-lg border border-red-500 text-center">
+      <h2 className="text-xl font-bold text-red-300 mb-2">
+        {t("error.title")}
+      </h2>
+      <p className="text-red-200 mb-4">{error.message}</p>
+      <button
+        onClick={resetErrorBoundary}
+        className="px-4 py-2 bg-red-700 hover:bg-red-600 text-white rounded-lg"
+      >
+        {t("error.retry")}
+      </button>
+    </div>
+  );
+};
+
+export default ErrorFallback;
@@ -0,0 +1,29 @@
+import { memo } from "react";
+import { GLOSS } from "../constants/glosses";
+import { glossOf } from "../utils/glosses";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Meaning of a word (or example) in the chosen gloss language, in that
+// language's script and direction; falls back to Bengali with a hint
+const Gloss = memo(function Gloss({ entry, language, className = "" }) {
+  const { t } = useTranslation();
+  const gloss = glossOf(entry, language);
+  if (!gloss.text) return null;
+
+  return (
+    <span
+      lang={GLOSS.LANG[gloss.language]}
+      dir={GLOSS.DIR[gloss.language]}
+      title={
+        gloss.language !== language
+          ? t("gloss.missing", { language: t(`gloss.${language}`) })
+          : undefined
+      }
+      className={`${className} ${GLOSS.FONTS[gloss.language]}`}
+    >
+      {gloss.text}
+    </span>
+  );
+});
+
+export default Gloss;
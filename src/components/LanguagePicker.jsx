@@ -0,0 +1,52 @@
+import { memo } from "react";
+import { LOCALE } from "../constants/locales";
+import { useTranslation } from "../hooks/useTranslation";
+
+const selectClass = "bg-gray-800 text-gray-200 rounded-lg px-2 py-1 text-sm";
+
+// Interface language and the language meanings are shown in, the latter
+// only once words have meanings in more than one language
+const LanguagePicker = memo(function LanguagePicker({
+  locale,
+  onLocaleChange,
+  gloss,
+  glossLanguages,
+  onGlossChange,
+}) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={locale}
+        onChange={(e) => onLocaleChange(e.target.value)}
+        className={selectClass}
+        aria-label={t("settings.locale")}
+        title={t("settings.locale")}
+      >
+        {LOCALE.ORDER.map((value) => (
+          <option key={value} value={value} lang={value}>
+            {LOCALE.LABELS[value]}
+          </option>
+        ))}
+      </select>
+      {glossLanguages.length > 1 && (
+        <select
+          value={gloss}
+          onChange={(e) => onGlossChange(e.target.value)}
+          className={selectClass}
+          aria-label={t("settings.gloss")}
+          title={t("settings.gloss")}
+        >
+          {glossLanguages.map((value) => (
+            <option key={value} value={value}>
+              {t(`gloss.${value}`)}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+});
+
+export default LanguagePicker;
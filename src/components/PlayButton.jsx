@@ -0,0 +1,61 @@
+import { memo, useState, useEffect, useRef } from "react";
+import { canPlay, playWord } from "../utils/audio";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Speaker button playing a word's clip or synthesized pronunciation; shows
+// a warning sign until the next try when playback fails
+const PlayButton = memo(function PlayButton({
+  word,
+  rate,
+  className = "w-8 h-8",
+  tabIndex,
+}) {
+  const { t } = useTranslation();
+  const [playing, setPlaying] = useState(false);
+  const [failed, setFailed] = useState(false);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  if (!canPlay(word)) return null;
+
+  const handleClick = () => {
+    setPlaying(true);
+    setFailed(false);
+    playWord(word, { rate })
+      .catch(() => {
+        if (mountedRef.current) setFailed(true);
+      })
+      .finally(() => {
+        if (mountedRef.current) setPlaying(false);
+      });
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      tabIndex={tabIndex}
+      className={`rounded-full flex items-center justify-center transition-colors ${
+        playing
+          ? "bg-indigo-600 text-white"
+          : failed
+          ? "bg-rose-700 text-white hover:bg-rose-600"
+          : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+      } ${className}`}
+      aria-label={t(failed ? "playback.failedWord" : "playback.playWord", {
+        arabic: word.arabic,
+      })}
+      title={t(failed ? "playback.failed" : "playback.play")}
+    >
+      {playing ? "♪" : failed ? "⚠" : "🔊"}
+    </button>
+  );
+});
+
+export default PlayButton;
@@ -0,0 +1,46 @@
+import { memo } from "react";
+import { PLAYBACK_RATES } from "../utils/audio";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Playback speed picker, plus the auto-play switch where it applies
+const PlaybackControls = memo(function PlaybackControls({
+  rate,
+  onRateChange,
+  autoPlay,
+  onAutoPlayChange,
+}) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="mt-3 flex flex-wrap items-center justify-center gap-2 text-sm">
+      <span className="text-gray-400">{t("playback.speed")}</span>
+      {PLAYBACK_RATES.map((value) => (
+        <button
+          key={value}
+          onClick={() => onRateChange(value)}
+          aria-pressed={rate === value}
+          className={`px-2 py-1 rounded-lg transition-colors ${
+            rate === value
+              ? "bg-indigo-600 text-white"
+              : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+          }`}
+        >
+          {value}×
+        </button>
+      ))}
+      {onAutoPlayChange && (
+        <label className="ms-2 flex items-center gap-2 text-gray-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={autoPlay}
+            onChange={(e) => onAutoPlayChange(e.target.checked)}
+            className="accent-indigo-500"
+          />
+          {t("playback.autoPlay")}
+        </label>
+      )}
+    </div>
+  );
+});
+
+export default PlaybackControls;
@@ -0,0 +1,24 @@
+import { memo } from "react";
+import { TRANSLIT_SCHEMES, pronunciationOf } from "../utils/transliterate";
+
+// Bracketed pronunciation line: the data's, or generated in `scheme`
+const Pronunciation = memo(function Pronunciation({
+  word,
+  scheme,
+  className = "text-xs text-gray-500 mt-1",
+}) {
+  const text = pronunciationOf(word, scheme);
+  if (!text) return null;
+
+  const bengali = scheme === TRANSLIT_SCHEMES.BENGALI;
+  return (
+    <div
+      lang={bengali ? "bn" : undefined}
+      className={`${className} ${bengali ? "font-liador" : ""}`}
+    >
+      [{text}]
+    </div>
+  );
+});
+
+export default Pronunciation;
@@ -0,0 +1,36 @@
+import { memo } from "react";
+import {
+  TRANSLIT_SCHEMES,
+  TRANSLIT_SCHEME_LABELS,
+} from "../utils/transliterate";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Transliteration scheme selector for the pronunciation line
+const SchemePicker = memo(function SchemePicker({ scheme, onSchemeChange }) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="mt-3 flex flex-wrap items-center justify-center gap-2 text-sm">
+      <span className="text-gray-400">{t("scheme.label")}</span>
+      {Object.values(TRANSLIT_SCHEMES).map((value) => (
+        <button
+          key={value}
+          onClick={() => onSchemeChange(value)}
+          aria-pressed={scheme === value}
+          lang={value === TRANSLIT_SCHEMES.BENGALI ? "bn" : undefined}
+          className={`px-2 py-1 rounded-lg transition-colors ${
+            value === TRANSLIT_SCHEMES.BENGALI ? "font-liador" : ""
+          } ${
+            scheme === value
+              ? "bg-indigo-600 text-white"
+              : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+          }`}
+        >
+          {TRANSLIT_SCHEME_LABELS[value]}
+        </button>
+      ))}
+    </div>
+  );
+});
+
+export default SchemePicker;
@@ -0,0 +1,49 @@
+import { memo } from "react";
+import { STATUS } from "../constants/status";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Learner status filter, shown under the difficulty buttons
+const StatusFilter = memo(function StatusFilter({
+  selectedStatus,
+  onSelectStatus,
+  counts,
+}) {
+  const { t } = useTranslation();
+
+  return (
+    <div
+      role="group"
+      aria-label={t("browse.statusFilter")}
+      className="flex flex-wrap justify-center gap-2 my-2 text-sm"
+    >
+      <button
+        onClick={() => onSelectStatus(null)}
+        aria-pressed={selectedStatus === null}
+        className={`px-3 py-1 rounded-full transition-all ${
+          selectedStatus === null
+            ? "bg-indigo-600 text-white shadow-lg"
+            : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+        }`}
+      >
+        {t("status.any")}
+      </button>
+      {STATUS.ORDER.map((status) => (
+        <button
+          key={status}
+          onClick={() => onSelectStatus(status)}
+          aria-pressed={selectedStatus === status}
+          className={`px-3 py-1 rounded-full transition-all ${
+            selectedStatus === status
+              ? "ring-2 ring-indigo-400 " + STATUS.BADGES[status]
+              : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+          }`}
+        >
+          {t(`status.${status}`)}
+          {counts && <span className="ms-1 opacity-75">{counts[status]}</span>}
+        </button>
+      ))}
+    </div>
+  );
+});
+
+export default StatusFilter;
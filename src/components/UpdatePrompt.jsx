@@ -0,0 +1,32 @@
+import { memo } from "react";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Banner offering to switch to a newly deployed version
+const UpdatePrompt = memo(function UpdatePrompt({ onUpdate, onDismiss }) {
+  const { t } = useTranslation();
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-4 inset-x-4 sm:inset-x-auto sm:end-4 sm:max-w-sm z-50 bg-gray-800 border border-indigo-500 rounded-xl p-4 shadow-lg text-gray-100"
+    >
+      <p className="text-sm">{t("update.available")}</p>
+      <div className="mt-3 flex justify-end gap-2">
+        <button
+          onClick={onDismiss}
+          className="px-3 py-1 rounded-lg text-sm bg-gray-700 text-gray-300 hover:bg-gray-600"
+        >
+          {t("update.later")}
+        </button>
+        <button
+          onClick={onUpdate}
+          className="px-3 py-1 rounded-lg text-sm bg-indigo-600 hover:bg-indigo-500 text-white"
+        >
+          {t("update.reload")}
+        </button>
+      </div>
+    </div>
+  );
+});
+
+export default UpdatePrompt;
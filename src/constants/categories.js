@@ -0,0 +1,140 @@
+// Category taxonomy: parent groups in display order, each listing its
+// subcategories with English and Bengali labels. Categories in MERGED are
+// near-duplicates or one-word leftovers shown under another subcategory.
+export const CATEGORY = Object.freeze({
+  GROUPS: Object.freeze({
+    faith: Object.freeze({
+      en: "Faith",
+      bn: "ঈমান ও দ্বীন",
+      categories: Object.freeze({
+        islamic: { en: "Islamic titles", bn: "ইসলামি উপাধি" },
+        divine_attribute: { en: "Divine attributes", bn: "আল্লাহর গুণাবলি" },
+        islamic_concept: { en: "Worship", bn: "ইবাদত" },
+        religion: { en: "Believers", bn: "বিশ্বাসী" },
+        sin: { en: "Sin", bn: "পাপ" },
+      }),
+    }),
+    people: Object.freeze({
+      en: "People",
+      bn: "মানুষ",
+      categories: Object.freeze({
+        person: { en: "People", bn: "মানুষ" },
+        relatives: { en: "Family", bn: "আত্মীয়" },
+        relationship: { en: "Relationships", bn: "সম্পর্ক" },
+        profession: { en: "Professions", bn: "পেশা" },
+        status: { en: "Social standing", bn: "সামাজিক অবস্থা" },
+      }),
+    }),
+    character: Object.freeze({
+      en: "Character",
+      bn: "স্বভাব",
+      categories: Object.freeze({
+        human_adj: { en: "Personal traits", bn: "মানুষের গুণ" },
+        intelligence: { en: "Intelligence", bn: "বুদ্ধি" },
+        strength: { en: "Strength", bn: "শক্তি" },
+      }),
+    }),
+    body: Object.freeze({
+      en: "Body & senses",
+      bn: "শরীর ও ইন্দ্রিয়",
+      categories: Object.freeze({
+        body_part: { en: "Body parts", bn: "শরীরের অঙ্গ" },
+        sense: { en: "Senses", bn: "ইন্দ্রিয়" },
+        taste: { en: "Taste", bn: "স্বাদ" },
+      }),
+    }),
+    qualities: Object.freeze({
+      en: "Qualities",
+      bn: "গুণ ও অবস্থা",
+      categories: Object.freeze({
+        quality: { en: "Good & bad", bn: "ভালো-মন্দ" },
+        appearance: { en: "Appearance", bn: "চেহারা" },
+        cleanliness: { en: "Cleanliness", bn: "পরিচ্ছন্নতা" },
+        state: { en: "States", bn: "অবস্থা" },
+        dimension: { en: "Dimensions", bn: "মাপ" },
+        size: { en: "Size", bn: "আকার" },
+        quantity: { en: "Quantity", bn: "পরিমাণ" },
+        speed: { en: "Speed", bn: "গতি" },
+        temperature: { en: "Temperature", bn: "তাপমাত্রা" },
+        time_quality: { en: "Old & new", bn: "নতুন-পুরাতন" },
+        value: { en: "Price", bn: "দাম" },
+      }),
+    }),
+    nature: Object.freeze({
+      en: "Nature",
+      bn: "প্রকৃতি",
+      categories: Object.freeze({
+        nature: { en: "Nature", bn: "প্রকৃতি" },
+        plant: { en: "Plants", bn: "উদ্ভিদ" },
+        animal: { en: "Animals", bn: "প্রাণী" },
+      }),
+    }),
+    home: Object.freeze({
+      en: "Home & things",
+      bn: "ঘর ও জিনিসপত্র",
+      categories: Object.freeze({
+        house_part: { en: "House", bn: "ঘর" },
+        furniture: { en: "Furniture", bn: "আসবাব" },
+        kitchenware: { en: "Kitchen", bn: "রান্নাঘর" },
+        food_drink: { en: "Food & drink", bn: "খাদ্য ও পানীয়" },
+        clothing: { en: "Clothing", bn: "পোশাক" },
+        accessory: { en: "Accessories", bn: "অলংকার" },
+        object: { en: "Objects", bn: "জিনিসপত্র" },
+        weapon: { en: "Weapons", bn: "অস্ত্র" },
+      }),
+    }),
+    places: Object.freeze({
+      en: "Places & directions",
+      bn: "স্থান ও দিক",
+      categories: Object.freeze({
+        place: { en: "Places", bn: "স্থান" },
+        transport: { en: "Transport", bn: "যানবাহন" },
+        position: { en: "Position", bn: "অবস্থান" },
+        direction: { en: "Directions", bn: "দিক" },
+        location: { en: "Here & there", bn: "এখানে-সেখানে" },
+      }),
+    }),
+    time: Object.freeze({
+      en: "Time & life",
+      bn: "সময় ও জীবন",
+      categories: Object.freeze({
+        time: { en: "Time", bn: "সময়" },
+        life_concept: { en: "Life & death", bn: "জীবন-মৃত্যু" },
+      }),
+    }),
+    language: Object.freeze({
+      en: "Grammar & phrases",
+      bn: "ব্যাকরণ ও বাক্যাংশ",
+      categories: Object.freeze({
+        expression: { en: "Expressions", bn: "বাক্যাংশ" },
+        question_word: { en: "Question words", bn: "প্রশ্নবোধক" },
+        preposition: { en: "Prepositions", bn: "অব্যয়" },
+        conjunction: { en: "Conjunctions", bn: "সংযোজক" },
+        demonstrative: { en: "Demonstratives", bn: "নির্দেশক" },
+        language: { en: "Language", bn: "ভাষা" },
+        concept: { en: "Ideas", bn: "ধারণা" },
+      }),
+    }),
+  }),
+
+  // Raw category → the subcategory it is shown under
+  MERGED: Object.freeze({
+    gen_adj: "quality",
+    light_quality: "quality",
+    intensity: "quality",
+    measurement: "quantity",
+    behavior: "human_adj",
+    health: "human_adj",
+    emotion: "concept",
+    miscellaneous: "concept",
+    vision: "sense",
+    "nature/energy": "nature",
+    plant_part: "plant",
+    animal_part: "animal",
+    question: "expression",
+  }),
+
+  // Group for categories outside the taxonomy (e.g. added in the editor)
+  OTHER: "other",
+  OTHER_LABEL: Object.freeze({ en: "Other", bn: "অন্যান্য" }),
+});
@@ -0,0 +1,21 @@
+// Frozen constant objects for better memory optimization
+export const DIFFICULTY = Object.freeze({
+  COLORS: Object.freeze({
+    easy: "border-emerald-500",
+    medium: "border-amber-500",
+    hard: "border-rose-500",
+  }),
+  DOTS: Object.freeze({
+    easy: "bg-emerald-500",
+    medium: "bg-amber-500",
+    hard: "bg-rose-500",
+  }),
+  ORDER: Object.freeze({ easy: 1, medium: 2, hard: 3 }),
+  LABELS: Object.freeze({
+    easy: "Easy",
+    medium: "Medium",
+    hard: "Hard",
+  }),
+  // Browse page keys selecting a difficulty filter ("all" clears it)
+  SHORTCUTS: Object.freeze({ all: "0", easy: "1", medium: "2", hard: "3" }),
+});
@@ -0,0 +1,7 @@
+// Reader display preferences offered on the Settings page
+export const DISPLAY = Object.freeze({
+  THEMES: Object.freeze(["system", "light", "dark"]),
+  QURAN_FONTS: Object.freeze(["indopak", "uthmani"]),
+  // Multipliers of the Arabic and Bengali text sizes
+  FONT_SCALES: Object.freeze([1, 1.25, 1.5, 1.75, 2]),
+});
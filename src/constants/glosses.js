@@ -0,0 +1,14 @@
+// Languages a word's meaning (gloss) can be given in. Each is a word field;
+// Bengali is required, the others are shown where a word has them.
+export const GLOSS = Object.freeze({
+  ORDER: Object.freeze(["bengali", "english", "urdu"]),
+  DEFAULT: "bengali",
+  LABELS: Object.freeze({
+    bengali: "Bengali",
+    english: "English",
+    urdu: "Urdu",
+  }),
+  LANG: Object.freeze({ bengali: "bn", english: "en", urdu: "ur" }),
+  DIR: Object.freeze({ bengali: "ltr", english: "ltr", urdu: "rtl" }),
+  FONTS: Object.freeze({ bengali: "font-liador", english: "", urdu: "" }),
+});
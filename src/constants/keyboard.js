@@ -0,0 +1,25 @@
+// "ا ب" → ["ا", "ب"]
+const keys = (row) => Object.freeze(row.split(" "));
+
+// Layout of the on-screen Arabic keyboard. Letter rows follow the standard
+// Arabic PC layout, so the keys sit where a lab's key stickers show them.
+export const ARABIC_KEYBOARD = Object.freeze({
+  LETTERS: Object.freeze([
+    keys("ذ ض ص ث ق ف غ ع ه خ ح ج د"),
+    keys("ش س ي ب ل ا ت ن م ك ط"),
+    keys("ئ ء ؤ ر لا ى ة و ز ظ"),
+  ]),
+  HAMZA: keys("ء أ إ آ ؤ ئ ٱ"),
+  // Vowel marks and shadda, typed after the letter they sit on
+  HARAKAT: Object.freeze([
+    Object.freeze({ mark: "\u064E", name: "fatha" }),
+    Object.freeze({ mark: "\u0650", name: "kasra" }),
+    Object.freeze({ mark: "\u064F", name: "damma" }),
+    Object.freeze({ mark: "\u0652", name: "sukun" }),
+    Object.freeze({ mark: "\u0651", name: "shadda" }),
+    Object.freeze({ mark: "\u064B", name: "fathatan" }),
+    Object.freeze({ mark: "\u064D", name: "kasratan" }),
+    Object.freeze({ mark: "\u064C", name: "dammatan" }),
+    Object.freeze({ mark: "\u0670", name: "daggerAlif" }),
+  ]),
+});
@@ -0,0 +1,9 @@
+// Interface languages, each labelled in its own script
+export const LOCALE = Object.freeze({
+  ORDER: Object.freeze(["en", "bn", "ur"]),
+  DEFAULT: "en",
+  LABELS: Object.freeze({ en: "English", bn: "বাংলা", ur: "اردو" }),
+  DIR: Object.freeze({ en: "ltr", bn: "ltr", ur: "rtl" }),
+  // Typeface for the whole interface
+  FONTS: Object.freeze({ en: "", bn: "font-liador", ur: "" }),
+});
@@ -0,0 +1,16 @@
+// Learner status of a word, from unseen to long-term retained
+export const STATUS = Object.freeze({
+  ORDER: Object.freeze(["new", "learning", "known", "mastered"]),
+  LABELS: Object.freeze({
+    new: "New",
+    learning: "Learning",
+    known: "Known",
+    mastered: "Mastered",
+  }),
+  BADGES: Object.freeze({
+    new: "bg-gray-700 text-gray-400",
+    learning: "bg-sky-900 text-sky-300",
+    known: "bg-violet-900 text-violet-300",
+    mastered: "bg-yellow-900 text-yellow-300",
+  }),
+});
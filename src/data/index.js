@@ -0,0 +1,5 @@
+import vocabularyData from "./vocabulary.json";
+import { loadVocabulary } from "./loader.js";
+
+// The bundled word list, validated and normalized once at startup
+export const vocabulary = loadVocabulary(vocabularyData);
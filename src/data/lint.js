@@ -0,0 +1,228 @@
+// Data-quality checks for a vocabulary word list.
+// Runs on raw records (before loadVocabulary cleans them) so padding and
+// bad difficulty values are still visible. Used by `npm run lint:data`
+// and the dev-only panel on the Data page.
+import { DIFFICULTIES } from "./schema.js";
+
+export const LINT_SEVERITY = Object.freeze({
+  ERROR: "error",
+  WARNING: "warning",
+});
+
+export const LINT_RULES = Object.freeze({
+  DUPLICATE_ARABIC: "duplicate-arabic",
+  DUPLICATE_BENGALI: "duplicate-bengali",
+  UNBALANCED_BRACKETS: "unbalanced-brackets",
+  MISSING_HARAKAT: "missing-harakat",
+  WHITESPACE: "whitespace",
+  UNKNOWN_DIFFICULTY: "unknown-difficulty",
+  SINGLETON_CATEGORY: "singleton-category",
+});
+
+export const LINT_RULE_SEVERITY = Object.freeze({
+  [LINT_RULES.DUPLICATE_ARABIC]: LINT_SEVERITY.ERROR,
+  [LINT_RULES.DUPLICATE_BENGALI]: LINT_SEVERITY.WARNING,
+  [LINT_RULES.UNBALANCED_BRACKETS]: LINT_SEVERITY.ERROR,
+  [LINT_RULES.MISSING_HARAKAT]: LINT_SEVERITY.WARNING,
+  [LINT_RULES.WHITESPACE]: LINT_SEVERITY.ERROR,
+  [LINT_RULES.UNKNOWN_DIFFICULTY]: LINT_SEVERITY.ERROR,
+  [LINT_RULES.SINGLETON_CATEGORY]: LINT_SEVERITY.WARNING,
+});
+
+const TEXT_FIELDS = [
+  "arabic",
+  "bengali",
+  "english",
+  "urdu",
+  "pronunciation",
+  "notes",
+];
+const BRACKETS = Object.freeze({ ")": "(", "]": "[", "}": "{" });
+const OPENERS = new Set(Object.values(BRACKETS));
+
+const LETTER = /[\u0621-\u064A]/;
+const TATWEEL = "\u0640";
+const MARK = /[\u064B-\u0652\u0670]/;
+// Letters that may go unmarked: long-vowel alif, alif maqsura, alif madda
+// and wasla, and ة which is usually read in pause
+const UNMARKED_OK = new Set(["ا", "ى", "آ", "ٱ", "ة"]);
+
+const arabicKey = (text) =>
+  text.normalize("NFC").replaceAll(TATWEEL, "").trim().replace(/\s+/g, " ");
+
+const issue = (rule, words, message) => ({
+  rule,
+  severity: LINT_RULE_SEVERITY[rule],
+  ids: words.map((word) => word.id),
+  message,
+});
+
+// Group words by a key, returning the groups with more than one word
+function duplicatesBy(words, keyOf) {
+  const groups = new Map();
+  for (const word of words) {
+    const key = keyOf(word);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(word);
+  }
+  return [...groups.values()].filter((group) => group.length > 1);
+}
+
+// First bracket problem in `text`, or null
+function bracketProblem(text) {
+  const stack = [];
+  for (const ch of text) {
+    if (OPENERS.has(ch)) {
+      stack.push(ch);
+    } else if (ch in BRACKETS) {
+      if (stack.pop() !== BRACKETS[ch]) return `unexpected "${ch}"`;
+    }
+  }
+  return stack.length ? `unclosed "${stack[stack.length - 1]}"` : null;
+}
+
+// Letters with no haraka, sukun or shadda. The last letter of each word
+// (case ending) and long vowels after a haraka are allowed bare, as is
+// the lām of the definite article.
+function unmarkedLetters(arabic) {
+  const missing = [];
+
+  for (const token of arabic.normalize("NFC").split(/[^\u0621-\u0670]+/)) {
+    const chars = Array.from(token);
+    const letters = [];
+    chars.forEach((ch, i) => {
+      if (LETTER.test(ch) && ch !== TATWEEL) {
+        letters.push({ ch, marked: MARK.test(chars[i + 1] ?? "") });
+      }
+    });
+
+    letters.forEach(({ ch, marked }, i) => {
+      if (marked || i === letters.length - 1 || UNMARKED_OK.has(ch)) return;
+      if ((ch === "و" || ch === "ي") && letters[i - 1]?.marked) return;
+      if (ch === "ل" && i === 1 && /[اٱ]/.test(letters[0].ch)) return;
+      missing.push(ch);
+    });
+  }
+
+  return missing;
+}
+
+// Every problem found in `words`, in rule order
+export function lintVocabulary(words) {
+  const issues = [];
+  const records = words.filter((word) => word && typeof word === "object");
+
+  // Same letters and harakat; homographs like مَنْ/مِنْ are different words
+  for (const group of duplicatesBy(records, (word) =>
+    typeof word.arabic === "string" ? arabicKey(word.arabic) : null
+  )) {
+    issues.push(
+      issue(
+        LINT_RULES.DUPLICATE_ARABIC,
+        group,
+        `"${group[0].arabic}" appears ${group.length} times`
+      )
+    );
+  }
+
+  for (const group of duplicatesBy(records, (word) =>
+    typeof word.bengali === "string"
+      ? word.bengali.trim().replace(/\s+/g, " ")
+      : null
+  )) {
+    issues.push(
+      issue(
+        LINT_RULES.DUPLICATE_BENGALI,
+        group,
+        `"${group[0].bengali.trim()}" is the meaning of ${group
+          .map((word) => word.arabic)
+          .join(", ")}`
+      )
+    );
+  }
+
+  for (const word of records) {
+    for (const field of TEXT_FIELDS) {
+      const text = word[field];
+      if (typeof text !== "string") continue;
+
+      const problem = bracketProblem(text);
+      if (problem) {
+        issues.push(
+          issue(
+            LINT_RULES.UNBALANCED_BRACKETS,
+            [word],
+            `${field} "${text}": ${problem}`
+          )
+        );
+      }
+    }
+  }
+
+  for (const word of records) {
+    if (typeof word.arabic !== "string") continue;
+    const missing = unmarkedLetters(word.arabic);
+    if (missing.length) {
+      issues.push(
+        issue(
+          LINT_RULES.MISSING_HARAKAT,
+          [word],
+          `"${word.arabic}" has no harakat on ${missing.join(" ")}`
+        )
+      );
+    }
+  }
+
+  for (const word of records) {
+    for (const [field, value] of Object.entries(word)) {
+      if (
+        typeof value === "string" &&
+        value !== value.trim().replace(/\s+/g, " ")
+      ) {
+        issues.push(
+          issue(
+            LINT_RULES.WHITESPACE,
+            [word],
+            `${field} "${value}" has leading, trailing or repeated spaces`
+          )
+        );
+      }
+    }
+  }
+
+  for (const word of records) {
+    if (!DIFFICULTIES.includes(word.difficulty)) {
+      issues.push(
+        issue(
+          LINT_RULES.UNKNOWN_DIFFICULTY,
+          [word],
+          `difficulty "${word.difficulty}", expected one of ${DIFFICULTIES.join(
+            ", "
+          )}`
+        )
+      );
+    }
+  }
+
+  const byCategory = new Map();
+  for (const word of records) {
+    byCategory.set(word.category, [
+      ...(byCategory.get(word.category) ?? []),
+      word,
+    ]);
+  }
+  for (const [category, group] of byCategory) {
+    if (group.length === 1) {
+      issues.push(
+        issue(
+          LINT_RULES.SINGLETON_CATEGORY,
+          group,
+          `category "${category}" has only ${group[0].arabic}`
+        )
+      );
+    }
+  }
+
+  return issues;
+}
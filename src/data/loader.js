@@ -0,0 +1,189 @@
+import { MIN_SCHEMA_VERSION, SCHEMA_VERSION, WORD_SCHEMA } from "./schema.js";
+import { LOCALE } from "../constants/locales.js";
+import { translate } from "../utils/i18n.js";
+
+// A problem found by validation: `key` names its message in the i18n
+// tables and `params` fills it in. `index` and `id` tell which word it is
+// about, `path` which example ("examples[0]") and `field` which field.
+const issue = (at, key, params = {}) => ({
+  ...at,
+  field: params.field,
+  key,
+  params,
+});
+
+// One problem as a readable line: `word #1 (w0001): "bengali" is empty`
+export function describeIssue(problem, locale = LOCALE.DEFAULT) {
+  const { index, id, path, key, params } = problem;
+  const word =
+    index === undefined
+      ? ""
+      : translate(locale, id ? "validation.wordWithId" : "validation.word", {
+          number: index + 1,
+          id,
+        });
+  const label = [word, path].filter(Boolean).join(" ");
+  const message = translate(locale, key, params);
+  return label ? `${label}: ${message}` : message;
+}
+
+// Thrown when a vocabulary file doesn't match the schema.
+// `issues` lists the problems found (see describeIssue).
+export class VocabularyValidationError extends Error {
+  constructor(issues) {
+    super(
+      `Invalid vocabulary data (${issues.length} issue${
+        issues.length === 1 ? "" : "s"
+      }):\n- ${issues.map((problem) => describeIssue(problem)).join("\n- ")}`
+    );
+    this.name = "VocabularyValidationError";
+    this.issues = issues;
+  }
+}
+
+// Trim and collapse runs of whitespace
+const cleanString = (value) => value.trim().replace(/\s+/g, " ");
+
+// Check one object against a field schema, collecting problems located
+// at `at` ({ index, id, path })
+function validateFields(raw, schema, at, errors) {
+  const record = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = raw[field];
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push(issue(at, "validation.missing", { field }));
+      }
+      continue;
+    }
+
+    if (rule.type === "array") {
+      if (!Array.isArray(value)) {
+        errors.push(issue(at, "validation.notArray", { field }));
+        continue;
+      }
+
+      const items = [];
+      value.forEach((item, i) => {
+        const itemAt = { ...at, path: `${field}[${i}]` };
+        if (!item || typeof item !== "object" || Array.isArray(item)) {
+          errors.push(issue(itemAt, "validation.notObject"));
+          return;
+        }
+        items.push(
+          Object.freeze(validateFields(item, rule.items, itemAt, errors))
+        );
+      });
+
+      if (items.length) record[field] = Object.freeze(items);
+      continue;
+    }
+
+    if (typeof value !== rule.type) {
+      errors.push(
+        issue(at, "validation.wrongType", { field, type: rule.type })
+      );
+      continue;
+    }
+
+    const cleaned = cleanString(value);
+
+    if (!cleaned) {
+      if (rule.required) errors.push(issue(at, "validation.empty", { field }));
+      continue;
+    }
+
+    if (rule.oneOf && !rule.oneOf.includes(cleaned)) {
+      errors.push(
+        issue(at, "validation.notOneOf", {
+          field,
+          value: cleaned,
+          allowed: rule.oneOf.join(", "),
+        })
+      );
+      continue;
+    }
+
+    if (rule.format && !rule.format.test(cleaned)) {
+      errors.push(issue(at, rule.formatHint, { field, value: cleaned }));
+      continue;
+    }
+
+    record[field] = cleaned;
+  }
+
+  for (const field of Object.keys(raw)) {
+    if (!(field in schema)) {
+      errors.push(issue(at, "validation.unknownField", { field }));
+    }
+  }
+
+  return record;
+}
+
+// Normalize a single raw record against WORD_SCHEMA.
+// Returns the cleaned word and a list of problems (see describeIssue);
+// never throws.
+export function validateWord(raw, index = 0) {
+  const errors = [];
+  const at = {
+    index,
+    id: raw && typeof raw.id === "string" ? raw.id.trim() : "",
+  };
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { word: null, errors: [issue(at, "validation.notObject")] };
+  }
+
+  const word = validateFields(raw, WORD_SCHEMA, at, errors);
+
+  return { word: errors.length ? null : Object.freeze(word), errors };
+}
+
+// Validate a whole vocabulary file ({ version, words }) and return the
+// normalized, frozen word list. Throws VocabularyValidationError on any issue.
+export function loadVocabulary(data) {
+  if (!data || !Array.isArray(data.words)) {
+    throw new VocabularyValidationError([issue({}, "validation.noWords")]);
+  }
+
+  if (
+    !Number.isInteger(data.version) ||
+    data.version < MIN_SCHEMA_VERSION ||
+    data.version > SCHEMA_VERSION
+  ) {
+    throw new VocabularyValidationError([
+      issue({}, "validation.version", {
+        version: String(data.version),
+        min: MIN_SCHEMA_VERSION,
+        max: SCHEMA_VERSION,
+      }),
+    ]);
+  }
+
+  const issues = [];
+  const words = [];
+  const seenIds = new Set();
+
+  data.words.forEach((raw, index) => {
+    const { word, errors } = validateWord(raw, index);
+    issues.push(...errors);
+    if (!word) return;
+
+    if (seenIds.has(word.id)) {
+      issues.push(issue({ index }, "validation.duplicateId", { id: word.id }));
+      return;
+    }
+
+    seenIds.add(word.id);
+    words.push(word);
+  });
+
+  if (issues.length) {
+    throw new VocabularyValidationError(issues);
+  }
+
+  return Object.freeze(words);
+}
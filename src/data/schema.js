@@ -0,0 +1,61 @@
+// Schema for vocabulary data files.
+// Bump SCHEMA_VERSION whenever a field is added, renamed or changes meaning.
+// Files down to MIN_SCHEMA_VERSION still load: since v1 only optional
+// fields have been added.
+export const SCHEMA_VERSION = 4;
+export const MIN_SCHEMA_VERSION = 1;
+
+export const DIFFICULTIES = Object.freeze(["easy", "medium", "hard"]);
+
+// An example sentence, ideally an ayah with a "surah:ayah" reference
+export const EXAMPLE_SCHEMA = Object.freeze({
+  arabic: Object.freeze({ type: "string", required: true }),
+  bengali: Object.freeze({ type: "string", required: false }),
+  english: Object.freeze({ type: "string", required: false }),
+  urdu: Object.freeze({ type: "string", required: false }),
+  reference: Object.freeze({
+    type: "string",
+    required: false,
+    format: /^\d{1,3}:\d{1,3}$/,
+    formatHint: "validation.referenceFormat",
+  }),
+});
+
+// Every field a word record may carry.
+// `required` fields must be present and non-empty after trimming.
+// `formatHint` is the i18n key of the message for a value that doesn't
+// match `format`.
+export const WORD_SCHEMA = Object.freeze({
+  id: Object.freeze({ type: "string", required: true }),
+  arabic: Object.freeze({ type: "string", required: true }),
+  bengali: Object.freeze({ type: "string", required: true }),
+  // Meanings in other gloss languages; Bengali is shown where one is missing
+  english: Object.freeze({ type: "string", required: false }),
+  urdu: Object.freeze({ type: "string", required: false }),
+  category: Object.freeze({ type: "string", required: true }),
+  difficulty: Object.freeze({
+    type: "string",
+    required: true,
+    oneOf: DIFFICULTIES,
+  }),
+  pronunciation: Object.freeze({ type: "string", required: false }),
+  // Trilateral root, letters separated by dashes: "ك-ت-ب"
+  root: Object.freeze({ type: "string", required: false }),
+  // Morphological pattern (wazn): "فِعَالٌ"
+  pattern: Object.freeze({ type: "string", required: false }),
+  plural: Object.freeze({ type: "string", required: false }),
+  feminine: Object.freeze({ type: "string", required: false }),
+  examples: Object.freeze({
+    type: "array",
+    required: false,
+    items: EXAMPLE_SCHEMA,
+  }),
+  notes: Object.freeze({ type: "string", required: false }),
+  // Recorded pronunciation, a file name under public/audio/
+  audio: Object.freeze({
+    type: "string",
+    required: false,
+    format: /^[\w-]+\.(mp3|ogg|m4a|wav)$/,
+    formatHint: "validation.audioFormat",
+  }),
+});
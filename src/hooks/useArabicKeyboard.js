@@ -0,0 +1,31 @@
+import { useState, useEffect, useMemo } from "react";
+import { loadJSON, saveJSON } from "../utils/storage";
+
+const KEYBOARD_KEY = "keyboard.v1";
+const DEFAULTS = Object.freeze({ open: false, vowels: true });
+
+// Whether the on-screen Arabic keyboard is shown and offers vowel marks,
+// persisted in local storage so a lab machine remembers it
+export function useArabicKeyboard() {
+  const [settings, setSettings] = useState(() => {
+    const saved = { ...DEFAULTS, ...loadJSON(KEYBOARD_KEY, DEFAULTS) };
+    return {
+      open: Boolean(saved.open),
+      vowels: saved.vowels !== false,
+    };
+  });
+
+  useEffect(() => {
+    saveJSON(KEYBOARD_KEY, settings);
+  }, [settings]);
+
+  return useMemo(
+    () => ({
+      open: settings.open,
+      vowels: settings.vowels,
+      setOpen: (open) => setSettings((prev) => ({ ...prev, open })),
+      setVowels: (vowels) => setSettings((prev) => ({ ...prev, vowels })),
+    }),
+    [settings]
+  );
+}
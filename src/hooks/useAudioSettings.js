@@ -0,0 +1,28 @@
+import { useState, useEffect, useMemo } from "react";
+import { loadJSON, saveJSON } from "../utils/storage";
+import { PLAYBACK_RATES } from "../utils/audio";
+
+const AUDIO_KEY = "audio.v1";
+const DEFAULTS = Object.freeze({ rate: 1, autoPlay: false });
+
+// Playback speed and review auto-play, persisted in local storage
+export function useAudioSettings() {
+  const [settings, setSettings] = useState(() => {
+    const saved = { ...DEFAULTS, ...loadJSON(AUDIO_KEY, DEFAULTS) };
+    return PLAYBACK_RATES.includes(saved.rate) ? saved : DEFAULTS;
+  });
+
+  useEffect(() => {
+    saveJSON(AUDIO_KEY, settings);
+  }, [settings]);
+
+  return useMemo(
+    () => ({
+      rate: settings.rate,
+      autoPlay: settings.autoPlay,
+      setRate: (rate) => setSettings((prev) => ({ ...prev, rate })),
+      setAutoPlay: (autoPlay) => setSettings((prev) => ({ ...prev, autoPlay })),
+    }),
+    [settings]
+  );
+}
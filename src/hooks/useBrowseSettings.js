@@ -0,0 +1,37 @@
+import { useState, useEffect, useMemo } from "react";
+import { loadJSON, saveJSON } from "../utils/storage";
+import { GROUP_BY, WORD_SORTS } from "../utils/sort";
+
+const BROWSE_KEY = "browse.v1";
+const DEFAULTS = Object.freeze({
+  sortBy: WORD_SORTS.HARDEST,
+  groupBy: GROUP_BY.CATEGORY,
+});
+
+const oneOf = (value, allowed, fallback) =>
+  Object.values(allowed).includes(value) ? value : fallback;
+
+// Sort order and grouping of the browse grid, persisted in local storage
+export function useBrowseSettings() {
+  const [settings, setSettings] = useState(() => {
+    const saved = loadJSON(BROWSE_KEY, DEFAULTS);
+    return {
+      sortBy: oneOf(saved?.sortBy, WORD_SORTS, DEFAULTS.sortBy),
+      groupBy: oneOf(saved?.groupBy, GROUP_BY, DEFAULTS.groupBy),
+    };
+  });
+
+  useEffect(() => {
+    saveJSON(BROWSE_KEY, settings);
+  }, [settings]);
+
+  return useMemo(
+    () => ({
+      sortBy: settings.sortBy,
+      groupBy: settings.groupBy,
+      setSortBy: (sortBy) => setSettings((prev) => ({ ...prev, sortBy })),
+      setGroupBy: (groupBy) => setSettings((prev) => ({ ...prev, groupBy })),
+    }),
+    [settings]
+  );
+}
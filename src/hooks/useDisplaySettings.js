@@ -0,0 +1,87 @@
+import { useState, useEffect, useLayoutEffect, useMemo } from "react";
+import { loadJSON, saveJSON } from "../utils/storage";
+import { DISPLAY } from "../constants/display";
+
+const DISPLAY_KEY = "display.v1";
+const DEFAULTS = Object.freeze({
+  theme: "system",
+  highContrast: false,
+  arabicScale: 1,
+  bengaliScale: 1,
+  quranFont: "indopak",
+});
+
+// Browser toolbar color, the page background of each theme
+const THEME_COLORS = Object.freeze({ light: "#f3f4f6", dark: "#111827" });
+
+const LIGHT_QUERY = "(prefers-color-scheme: light)";
+
+const oneOf = (value, allowed, fallback) =>
+  allowed.includes(value) ? value : fallback;
+
+const systemTheme = () =>
+  typeof window !== "undefined" && window.matchMedia?.(LIGHT_QUERY).matches
+    ? "light"
+    : "dark";
+
+// Theme, contrast, Arabic and Bengali text size and the Quranic font,
+// persisted in local storage and applied to <html> (see themes.css)
+export function useDisplaySettings() {
+  const [settings, setSettings] = useState(() => {
+    const saved = { ...DEFAULTS, ...loadJSON(DISPLAY_KEY, DEFAULTS) };
+    return {
+      theme: oneOf(saved.theme, DISPLAY.THEMES, DEFAULTS.theme),
+      highContrast: Boolean(saved.highContrast),
+      arabicScale: oneOf(saved.arabicScale, DISPLAY.FONT_SCALES, 1),
+      bengaliScale: oneOf(saved.bengaliScale, DISPLAY.FONT_SCALES, 1),
+      quranFont: oneOf(
+        saved.quranFont,
+        DISPLAY.QURAN_FONTS,
+        DEFAULTS.quranFont
+      ),
+    };
+  });
+
+  // "system" follows the operating system as it changes
+  const [system, setSystem] = useState(systemTheme);
+  useEffect(() => {
+    const query = window.matchMedia?.(LIGHT_QUERY);
+    if (!query) return;
+    const onChange = () => setSystem(systemTheme());
+    query.addEventListener("change", onChange);
+    return () => query.removeEventListener("change", onChange);
+  }, []);
+
+  useEffect(() => {
+    saveJSON(DISPLAY_KEY, settings);
+  }, [settings]);
+
+  const theme = settings.theme === "system" ? system : settings.theme;
+
+  // Before paint, so a light theme never flashes dark
+  useLayoutEffect(() => {
+    const root = document.documentElement;
+    root.dataset.theme = theme;
+    root.dataset.contrast = settings.highContrast ? "high" : "normal";
+    root.dataset.quranFont = settings.quranFont;
+    root.style.setProperty("--arabic-scale", settings.arabicScale);
+    root.style.setProperty("--bengali-scale", settings.bengaliScale);
+    document
+      .querySelector('meta[name="theme-color"]')
+      ?.setAttribute("content", THEME_COLORS[theme]);
+  }, [theme, settings]);
+
+  return useMemo(() => {
+    const set = (key) => (value) =>
+      setSettings((prev) => ({ ...prev, [key]: value }));
+    return {
+      ...settings,
+      resolvedTheme: theme,
+      setTheme: set("theme"),
+      setHighContrast: set("highContrast"),
+      setArabicScale: set("arabicScale"),
+      setBengaliScale: set("bengaliScale"),
+      setQuranFont: set("quranFont"),
+    };
+  }, [settings, theme]);
+}
@@ -0,0 +1,31 @@
+import { useState, useEffect, useMemo } from "react";
+import { loadJSON, saveJSON } from "../utils/storage";
+import { GLOSS } from "../constants/glosses";
+import { glossLanguagesOf, isGlossLanguage } from "../utils/glosses";
+
+const GLOSS_KEY = "gloss.v1";
+
+// Language of the meanings shown on cards and in quizzes, persisted in
+// local storage. Only languages the words have meanings in are offered; a
+// saved choice without any is kept for when such words are added.
+export function useGlossLanguage(vocabulary) {
+  const [saved, setLanguage] = useState(() => {
+    const saved = loadJSON(GLOSS_KEY, GLOSS.DEFAULT);
+    return isGlossLanguage(saved) ? saved : GLOSS.DEFAULT;
+  });
+
+  useEffect(() => {
+    saveJSON(GLOSS_KEY, saved);
+  }, [saved]);
+
+  const languages = useMemo(
+    () => glossLanguagesOf(vocabulary || []),
+    [vocabulary]
+  );
+  const language = languages.includes(saved) ? saved : GLOSS.DEFAULT;
+
+  return useMemo(
+    () => ({ language, languages, setLanguage }),
+    [language, languages]
+  );
+}
@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { loadJSON, saveJSON } from "../utils/storage";
+import { createCard, reviewCard } from "../utils/srs";
+import { EMPTY_HISTORY, addToHistory } from "../utils/stats";
+import {
+  createQuizStat,
+  quizEvent,
+  recordAnswer,
+  reviewEvent,
+  summarizeProgress,
+} from "../utils/progress";
+
+const SRS_KEY = "srs.v1";
+const QUIZ_KEY = "quiz.v1";
+const HISTORY_KEY = "history.v2";
+
+// Per-word SRS cards and quiz records keyed by word id and the tallies of
+// every review and quiz answer, persisted in local storage, plus the
+// learner status derived from cards and quiz records
+export function useLearnerProgress(vocabulary) {
+  const [cards, setCards] = useState(() => loadJSON(SRS_KEY, {}));
+  const [quizStats, setQuizStats] = useState(() => loadJSON(QUIZ_KEY, {}));
+  const [history, setHistory] = useState(() =>
+    loadJSON(HISTORY_KEY, EMPTY_HISTORY)
+  );
+
+  useEffect(() => {
+    saveJSON(SRS_KEY, cards);
+  }, [cards]);
+
+  useEffect(() => {
+    saveJSON(QUIZ_KEY, quizStats);
+  }, [quizStats]);
+
+  useEffect(() => {
+    saveJSON(HISTORY_KEY, history);
+  }, [history]);
+
+  const grade = useCallback((word, value) => {
+    setCards((prev) => ({
+      ...prev,
+      [word.id]: reviewCard(prev[word.id] ?? createCard(word), value),
+    }));
+    setHistory((prev) => addToHistory(prev, reviewEvent(word, value)));
+  }, []);
+
+  const recordQuizAnswer = useCallback((word, correct) => {
+    setQuizStats((prev) => ({
+      ...prev,
+      [word.id]: recordAnswer(prev[word.id] ?? createQuizStat(), correct),
+    }));
+    setHistory((prev) => addToHistory(prev, quizEvent(word, correct)));
+  }, []);
+
+  const { statuses, counts } = useMemo(
+    () => summarizeProgress(vocabulary || [], cards, quizStats),
+    [vocabulary, cards, quizStats]
+  );
+
+  return useMemo(
+    () => ({
+      cards,
+      quizStats,
+      history,
+      statuses,
+      counts,
+      grade,
+      recordQuizAnswer,
+    }),
+    [cards, quizStats, history, statuses, counts, grade, recordQuizAnswer]
+  );
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { loadJSON, saveJSON } from "../utils/storage";
+import { LOCALE } from "../constants/locales";
+import { detectLocale, isLocale, translate } from "../utils/i18n";
+
+const LOCALE_KEY = "locale.v1";
+
+// Interface language, persisted in local storage (the browser's language
+// until one is picked). The page's lang and direction follow it.
+export function useLocale() {
+  const [locale, setLocale] = useState(() => {
+    const saved = loadJSON(LOCALE_KEY, null);
+    return isLocale(saved) ? saved : detectLocale();
+  });
+
+  useEffect(() => {
+    saveJSON(LOCALE_KEY, locale);
+  }, [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALE.DIR[locale];
+  }, [locale]);
+
+  const t = useCallback(
+    (key, params) => translate(locale, key, params),
+    [locale]
+  );
+
+  return useMemo(
+    () => ({ locale, dir: LOCALE.DIR[locale], setLocale, t }),
+    [locale, t]
+  );
+}
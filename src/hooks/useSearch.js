@@ -0,0 +1,29 @@
+import { useState, useEffect, useRef } from "react";
+
+// Optimized search hook
+export function useSearch(initialValue = "") {
+  const [value, setValue] = useState(initialValue);
+  const [debouncedValue, setDebouncedValue] = useState(initialValue);
+  const timerRef = useRef(null);
+
+  useEffect(() => {
+    // Clear any existing timeout
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+    }
+
+    // Set a new timeout to update the debounced value
+    timerRef.current = setTimeout(() => {
+      setDebouncedValue(value);
+    }, 300);
+
+    // Cleanup on unmount
+    return () => {
+      if (timerRef.current) {
+        clearTimeout(timerRef.current);
+      }
+    };
+  }, [value]);
+
+  return [value, debouncedValue, setValue];
+}
@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+
+const SW_URL = "/sw.js";
+
+const isSupported = () =>
+  import.meta.env.PROD &&
+  typeof navigator !== "undefined" &&
+  "serviceWorker" in navigator;
+
+// Registers the offline service worker (production builds only) and reports
+// a newly deployed version waiting to take over. `applyUpdate` activates it
+// and reloads once it controls the page.
+export function useServiceWorker() {
+  const [waiting, setWaiting] = useState(null);
+  const updatingRef = useRef(false);
+
+  useEffect(() => {
+    if (!isSupported()) return;
+    const { serviceWorker } = navigator;
+    let registration = null;
+
+    // Only an update the learner accepted reloads; the first install also
+    // takes control, and must not
+    const onControllerChange = () => {
+      if (!updatingRef.current) return;
+      updatingRef.current = false;
+      window.location.reload();
+    };
+
+    const track = (worker) => {
+      worker?.addEventListener("statechange", () => {
+        if (worker.state === "installed" && serviceWorker.controller) {
+          setWaiting(worker);
+        }
+      });
+    };
+
+    // Look for a new deployment whenever the app comes back to the front
+    const onVisibilityChange = () => {
+      if (document.visibilityState === "visible") {
+        registration?.update().catch(() => {});
+      }
+    };
+
+    serviceWorker.addEventListener("controllerchange", onControllerChange);
+    document.addEventListener("visibilitychange", onVisibilityChange);
+
+    serviceWorker
+      .register(SW_URL)
+      .then((reg) => {
+        registration = reg;
+        if (reg.waiting && serviceWorker.controller) setWaiting(reg.waiting);
+        track(reg.installing);
+        reg.addEventListener("updatefound", () => track(reg.installing));
+      })
+      .catch(() => {
+        // Offline support is optional; the app works without it
+      });
+
+    return () => {
+      serviceWorker.removeEventListener("controllerchange", onControllerChange);
+      document.removeEventListener("visibilitychange", onVisibilityChange);
+    };
+  }, []);
+
+  const applyUpdate = useCallback(() => {
+    if (!waiting) return;
+    updatingRef.current = true;
+    waiting.postMessage({ type: "SKIP_WAITING" });
+  }, [waiting]);
+
+  const dismissUpdate = useCallback(() => setWaiting(null), []);
+
+  return useMemo(
+    () => ({ updateReady: waiting !== null, applyUpdate, dismissUpdate }),
+    [waiting, applyUpdate, dismissUpdate]
+  );
+}
@@ -0,0 +1,13 @@
+import { createContext, useContext } from "react";
+import { LOCALE } from "../constants/locales";
+import { translate } from "../utils/i18n";
+
+// The interface language from useLocale, provided once by App so shared
+// components can translate without it being passed through every page
+export const LocaleContext = createContext({
+  locale: LOCALE.DEFAULT,
+  dir: LOCALE.DIR[LOCALE.DEFAULT],
+  t: (key, params) => translate(LOCALE.DEFAULT, key, params),
+});
+
+export const useTranslation = () => useContext(LocaleContext);
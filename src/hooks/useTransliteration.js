@@ -0,0 +1,22 @@
+import { useState, useEffect, useMemo } from "react";
+import { loadJSON, saveJSON } from "../utils/storage";
+import { TRANSLIT_SCHEMES } from "../utils/transliterate";
+
+const TRANSLIT_KEY = "translit.v1";
+
+const isScheme = (value) => Object.values(TRANSLIT_SCHEMES).includes(value);
+
+// Transliteration scheme for generated pronunciations, persisted in
+// local storage
+export function useTransliteration() {
+  const [scheme, setScheme] = useState(() => {
+    const saved = loadJSON(TRANSLIT_KEY, TRANSLIT_SCHEMES.SIMPLE);
+    return isScheme(saved) ? saved : TRANSLIT_SCHEMES.SIMPLE;
+  });
+
+  useEffect(() => {
+    saveJSON(TRANSLIT_KEY, scheme);
+  }, [scheme]);
+
+  return useMemo(() => ({ scheme, setScheme }), [scheme]);
+}
@@ -0,0 +1,22 @@
+import { useState, useEffect } from "react";
+
+// Used when rendering without a window
+const FALLBACK_SIZE = Object.freeze({ width: 1024, height: 768 });
+
+const readSize = () =>
+  typeof window === "undefined"
+    ? FALLBACK_SIZE
+    : { width: window.innerWidth, height: window.innerHeight };
+
+// Window width and height, updated on resize
+export function useViewportSize() {
+  const [size, setSize] = useState(readSize);
+
+  useEffect(() => {
+    const onResize = () => setSize(readSize());
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+  }, []);
+
+  return size;
+}
@@ -0,0 +1,228 @@
+import { useCallback, useEffect, useMemo, useRef } from "react";
+import { useLocation, useSearchParams } from "react-router";
+import { useSearch } from "./useSearch";
+import { DIFFICULTIES } from "../data/schema";
+import { STATUS } from "../constants/status";
+import { CATEGORY_GROUP_ORDER, categoryOf } from "../utils/categories";
+import { loadJSON, saveJSON } from "../utils/storage";
+
+const FILTERS_KEY = "filters.v1";
+
+// Query-string keys, so a filtered view can be bookmarked and shared
+const PARAMS = Object.freeze({
+  search: "q",
+  difficulty: "difficulty",
+  group: "group",
+  category: "category",
+  status: "status",
+  strict: "strict",
+});
+
+const oneOf = (value, allowed) => (allowed.includes(value) ? value : null);
+
+// Difficulty, category group, categories, learner status, search and
+// strict-Arabic filter state shared across pages, stored in the URL query
+// string. Several categories repeat the key: ?category=animal&category=plant
+// The last filters are saved and come back when the vocabulary list opens
+// without any; other pages neither restore nor overwrite them.
+export function useVocabularyFilters() {
+  const [params, setParams] = useSearchParams();
+  const { pathname } = useLocation();
+  const onList = pathname === "/";
+
+  const restoredRef = useRef(false);
+  useEffect(() => {
+    if (!onList) return;
+    if (!restoredRef.current) {
+      restoredRef.current = true;
+      const saved = loadJSON(FILTERS_KEY, "");
+      if (saved && params.size === 0) {
+        setParams(new URLSearchParams(saved), { replace: true });
+        return;
+      }
+    }
+    saveJSON(FILTERS_KEY, params.toString());
+  }, [onList, params, setParams]);
+
+  const selectedDifficulty = oneOf(params.get(PARAMS.difficulty), DIFFICULTIES);
+  const selectedStatus = oneOf(params.get(PARAMS.status), STATUS.ORDER);
+  const selectedGroup = oneOf(params.get(PARAMS.group), CATEGORY_GROUP_ORDER);
+  // Joined so the selection keeps its identity between renders
+  const categoryParam = [
+    ...new Set(params.getAll(PARAMS.category).filter(Boolean).map(categoryOf)),
+  ].join("\n");
+  const selectedCategories = useMemo(
+    () => (categoryParam ? categoryParam.split("\n") : []),
+    [categoryParam]
+  );
+
+  // Strict Arabic matching disables harakat/hamza normalization
+  const strictArabic = params.get(PARAMS.strict) === "1";
+
+  const updateParam = useCallback(
+    (key, value) => {
+      setParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          if (value) next.set(key, value);
+          else next.delete(key);
+          return next;
+        },
+        { replace: true }
+      );
+    },
+    [setParams]
+  );
+
+  // Enhanced search with debouncing; only the settled text goes to the URL
+  const urlSearch = params.get(PARAMS.search) ?? "";
+  const [search, debouncedSearch, setSearch] = useSearch(urlSearch);
+  const syncedSearchRef = useRef(urlSearch);
+
+  useEffect(() => {
+    const value = debouncedSearch.trim();
+    if (value === syncedSearchRef.current) return;
+    syncedSearchRef.current = value;
+    updateParam(PARAMS.search, value);
+  }, [debouncedSearch, updateParam]);
+
+  // Back/forward or an opened link changed ?q= under us
+  useEffect(() => {
+    if (urlSearch === syncedSearchRef.current) return;
+    syncedSearchRef.current = urlSearch;
+    setSearch(urlSearch);
+  }, [urlSearch, setSearch]);
+
+  const setSelectedDifficulty = useCallback(
+    (value) => updateParam(PARAMS.difficulty, value),
+    [updateParam]
+  );
+  const setSelectedStatus = useCallback(
+    (value) => updateParam(PARAMS.status, value),
+    [updateParam]
+  );
+  // A category picked earlier may sit outside the new group
+  const setSelectedGroup = useCallback(
+    (value) =>
+      setParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          if (value) next.set(PARAMS.group, value);
+          else next.delete(PARAMS.group);
+          next.delete(PARAMS.category);
+          return next;
+        },
+        { replace: true }
+      ),
+    [setParams]
+  );
+  const updateCategories = useCallback(
+    (update) => {
+      setParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          const values = update(next.getAll(PARAMS.category).map(categoryOf));
+          next.delete(PARAMS.category);
+          new Set(values).forEach((value) =>
+            next.append(PARAMS.category, value)
+          );
+          return next;
+        },
+        { replace: true }
+      );
+    },
+    [setParams]
+  );
+  const setSelectedCategories = useCallback(
+    (values) => updateCategories(() => values),
+    [updateCategories]
+  );
+  const toggleCategory = useCallback(
+    (value) =>
+      updateCategories((current) =>
+        current.includes(value)
+          ? current.filter((item) => item !== value)
+          : [...current, value]
+      ),
+    [updateCategories]
+  );
+  const setStrictArabic = useCallback(
+    (value) => updateParam(PARAMS.strict, value ? "1" : null),
+    [updateParam]
+  );
+
+  const clearFilters = useCallback(() => {
+    syncedSearchRef.current = "";
+    setSearch("");
+    setParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        // Strict matching is a preference rather than a filter, keep it
+        Object.values(PARAMS)
+          .filter((key) => key !== PARAMS.strict)
+          .forEach((key) => next.delete(key));
+        return next;
+      },
+      { replace: true }
+    );
+  }, [setSearch, setParams]);
+
+  // The settled criteria, in the shape createWordFilter expects
+  const criteria = useMemo(
+    () => ({
+      difficulty: selectedDifficulty,
+      group: selectedGroup,
+      categories: selectedCategories,
+      status: selectedStatus,
+      search: debouncedSearch,
+      strict: strictArabic,
+    }),
+    [
+      selectedDifficulty,
+      selectedGroup,
+      selectedCategories,
+      selectedStatus,
+      debouncedSearch,
+      strictArabic,
+    ]
+  );
+
+  return useMemo(
+    () => ({
+      criteria,
+      search,
+      debouncedSearch,
+      setSearch,
+      selectedDifficulty,
+      setSelectedDifficulty,
+      selectedGroup,
+      setSelectedGroup,
+      selectedCategories,
+      setSelectedCategories,
+      toggleCategory,
+      selectedStatus,
+      setSelectedStatus,
+      strictArabic,
+      setStrictArabic,
+      clearFilters,
+    }),
+    [
+      criteria,
+      search,
+      debouncedSearch,
+      setSearch,
+      selectedDifficulty,
+      setSelectedDifficulty,
+      selectedGroup,
+      setSelectedGroup,
+      selectedCategories,
+      setSelectedCategories,
+      toggleCategory,
+      selectedStatus,
+      setSelectedStatus,
+      strictArabic,
+      setStrictArabic,
+      clearFilters,
+    ]
+  );
+}
@@ -0,0 +1,94 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { loadJSON, saveJSON } from "../utils/storage";
+import { mergeVocabulary, userIdNumber } from "../utils/library";
+
+const WORDS_KEY = "words.v1";
+const DELETED_KEY = "deleted.v1";
+const LAST_ID_KEY = "lastWordId.v1";
+
+// The vocabulary in use: the bundled list plus words added, edited or
+// imported in the app and minus deleted ones. Changes are kept in
+// local storage: custom words keyed by id, a list of deleted ids and the
+// highest user word id number ever saved, which only grows.
+export function useWordLibrary(bundled) {
+  const [custom, setCustom] = useState(() => loadJSON(WORDS_KEY, {}));
+  const [deleted, setDeleted] = useState(() => loadJSON(DELETED_KEY, []));
+  const [lastIssued, setLastIssued] = useState(() => loadJSON(LAST_ID_KEY, 0));
+
+  useEffect(() => {
+    saveJSON(WORDS_KEY, custom);
+  }, [custom]);
+
+  useEffect(() => {
+    saveJSON(DELETED_KEY, deleted);
+  }, [deleted]);
+
+  useEffect(() => {
+    saveJSON(LAST_ID_KEY, lastIssued);
+  }, [lastIssued]);
+
+  const vocabulary = useMemo(
+    () => mergeVocabulary(bundled, custom, deleted),
+    [bundled, custom, deleted]
+  );
+
+  // Add or replace validated words
+  const importWords = useCallback((words) => {
+    const ids = new Set(words.map((word) => word.id));
+    setCustom((prev) => {
+      const next = { ...prev };
+      for (const word of words) next[word.id] = word;
+      return next;
+    });
+    setDeleted((prev) => prev.filter((id) => !ids.has(id)));
+    setLastIssued((prev) =>
+      Math.max(prev, ...words.map((word) => userIdNumber(word.id)))
+    );
+  }, []);
+
+  const saveWord = useCallback((word) => importWords([word]), [importWords]);
+
+  // Bundled words are hidden by id; custom ones are simply dropped
+  const deleteWord = useCallback(
+    (id) => {
+      setCustom((prev) => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+      if (bundled.some((word) => word.id === id)) {
+        setDeleted((prev) => (prev.includes(id) ? prev : [...prev, id]));
+      }
+    },
+    [bundled]
+  );
+
+  const resetCustomWords = useCallback(() => {
+    setCustom({});
+    setDeleted([]);
+  }, []);
+
+  return useMemo(
+    () => ({
+      vocabulary,
+      custom,
+      deleted,
+      lastIssued,
+      changeCount: Object.keys(custom).length + deleted.length,
+      importWords,
+      saveWord,
+      deleteWord,
+      resetCustomWords,
+    }),
+    [
+      vocabulary,
+      custom,
+      deleted,
+      lastIssued,
+      importWords,
+      saveWord,
+      deleteWord,
+      resetCustomWords,
+    ]
+  );
+}
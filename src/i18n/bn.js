@@ -0,0 +1,279 @@
+// Bengali interface strings; missing keys fall back to English
+export const bn = Object.freeze({
+  "nav.browse": "ব্রাউজ",
+  "nav.study": "অধ্যয়ন",
+  "nav.quiz": "কুইজ",
+  "nav.stats": "পরিসংখ্যান",
+  "nav.data": "ডেটা",
+  "nav.settings": "সেটিংস",
+
+  "settings.locale": "ইন্টারফেসের ভাষা",
+  "settings.gloss": "অর্থের ভাষা",
+
+  "gloss.bengali": "বাংলা",
+  "gloss.english": "ইংরেজি",
+  "gloss.urdu": "উর্দু",
+  "gloss.missing": "{language} অর্থ এখনো নেই, বাংলা দেখানো হচ্ছে",
+
+  "settings.title": "সেটিংস",
+  "settings.theme": "থিম",
+  "settings.highContrast": "উচ্চ কনট্রাস্ট",
+  "settings.arabicSize": "আরবি লেখার আকার",
+  "settings.bengaliSize": "বাংলা লেখার আকার",
+  "settings.scale": "{percent}%",
+  "settings.quranFont": "কুরআনের লিপি",
+  "settings.uthmaniHint":
+    "উসমানী লিপি অ্যাপের সাথে দেওয়া Amiri Quran ফন্টে দেখানো হয়; এই ডিভাইসে কিং ফাহাদ কমপ্লেক্সের HAFS ফন্ট ইনস্টল থাকলে সেটি ব্যবহার হয়।",
+  "theme.system": "সিস্টেম",
+  "theme.light": "হালকা",
+  "theme.dark": "গাঢ়",
+  "quranFont.indopak": "ইন্দোপাক",
+  "quranFont.uthmani": "উসমানী",
+
+  "keyboard.show": "আরবি কিবোর্ড",
+  "keyboard.hide": "আরবি কিবোর্ড লুকান",
+  "keyboard.label": "আরবি কিবোর্ড",
+  "keyboard.vowels": "হরকত",
+  "keyboard.space": "স্পেস",
+  "keyboard.backspace": "মুছুন",
+  "keyboard.fatha": "যবর",
+  "keyboard.kasra": "যের",
+  "keyboard.damma": "পেশ",
+  "keyboard.sukun": "জযম",
+  "keyboard.shadda": "তাশদীদ",
+  "keyboard.fathatan": "দুই যবর",
+  "keyboard.kasratan": "দুই যের",
+  "keyboard.dammatan": "দুই পেশ",
+  "keyboard.daggerAlif": "খাড়া যবর",
+
+  "error.title": "কিছু একটা ভুল হয়েছে",
+  "error.retry": "আবার চেষ্টা করুন",
+
+  "update.available": "হালনাগাদ শব্দভান্ডারসহ নতুন সংস্করণ এসেছে।",
+  "update.later": "পরে",
+  "update.reload": "রিলোড করুন",
+
+  "difficulty.all": "সব",
+  "difficulty.easy": "সহজ",
+  "difficulty.medium": "মাঝারি",
+  "difficulty.hard": "কঠিন",
+
+  "status.any": "যেকোনো অবস্থা",
+  "status.new": "নতুন",
+  "status.learning": "শিখছি",
+  "status.known": "জানা",
+  "status.mastered": "আয়ত্ত",
+
+  "group.all": "সব বিষয়",
+
+  "playback.play": "উচ্চারণ শুনুন",
+  "playback.playWord": "{arabic} এর উচ্চারণ শুনুন",
+  "playback.failed": "উচ্চারণ বাজানো গেল না",
+  "playback.failedWord": "{arabic} বাজানো গেল না, আবার চেষ্টা করুন",
+  "playback.speed": "গতি:",
+  "playback.autoPlay": "স্বয়ংক্রিয় প্লে",
+  "scheme.label": "উচ্চারণ:",
+
+  "browse.title": "কুরআনের শব্দভান্ডার",
+  "browse.showing": "{total}টি শব্দের মধ্যে {shown}টি দেখানো হচ্ছে",
+  "browse.total": "মোট শব্দ: {total}",
+  "browse.progress":
+    "{total}টির মধ্যে {mastered}টি আয়ত্ত · {known}টি জানা · {learning}টি শিখছি",
+  "browse.searchPlaceholder":
+    "বিষয়, শব্দ বা বাংলিশে খুঁজুন (যেমন kitab, ghor)...",
+  "browse.searchLabel": "শব্দভান্ডারে খুঁজুন",
+  "browse.strictArabic": "আরবি হুবহু মেলান (হরকত ও হামজা)",
+  "browse.clearAll": "সব ফিল্টার মুছুন",
+  "browse.addWord": "+ শব্দ যোগ করুন",
+  "browse.gridLabel": "শব্দসমূহ",
+  "browse.difficultyFilter": "কাঠিন্য অনুযায়ী ছাঁকুন",
+  "browse.statusFilter": "অবস্থা অনুযায়ী ছাঁকুন",
+  "browse.shortcuts":
+    "কী: / খোঁজা · ০–৩ কাঠিন্য · তীর চিহ্নে শব্দ বদল · Enter খোলে",
+  "browse.wordCount": "{count}টি শব্দ",
+  "browse.noRoot": "মূলহীন",
+  "browse.allWords": "সব শব্দ",
+  "browse.showOnly": "শুধু এগুলো",
+  "browse.showOnlyCategory": "শুধু এই বিষয় দেখুন",
+  "browse.groupBy": "ভাগ করুন:",
+  "browse.sort": "সাজান:",
+  "groupBy.category": "বিষয়",
+  "groupBy.root": "মূল ধাতু",
+  "groupBy.none": "কোনোটি না",
+  "sort.hardest": "কঠিন আগে",
+  "sort.easiest": "সহজ আগে",
+  "sort.hijai": "আরবি (হিজাঈ)",
+  "sort.abjadi": "আরবি (আবজাদী)",
+  "sort.bengali": "বাংলা",
+  "sort.recent": "সম্প্রতি যোগ করা",
+  "sort.due": "রিভিউয়ের সময় হয়েছে",
+  "sort.weakest": "কুইজে দুর্বল",
+  "sortHint.hardest": "কঠিন শব্দ আগে দেখানো হচ্ছে",
+  "sortHint.easiest": "সহজ শব্দ আগে দেখানো হচ্ছে",
+  "sortHint.hijai": "আরবি বর্ণানুক্রম (ا ب ت ث …)",
+  "sortHint.abjadi": "আরবি আবজাদ ক্রম (أبجد هوز حطي …)",
+  "sortHint.bengali": "বাংলা বর্ণানুক্রম",
+  "sortHint.recent": "সম্প্রতি যোগ করা শব্দ আগে",
+  "sortHint.due": "যেসব শব্দের রিভিউ বাকি সেগুলো আগে",
+  "sortHint.weakest": "কুইজে সবচেয়ে কম সঠিক শব্দ আগে",
+
+  "noResults.message": "{conditions} কোনো শব্দ পাওয়া যায়নি",
+  "noResults.search": '"{search}" এর সাথে মেলে এমন',
+  "noResults.difficulty": "{difficulty} মাত্রার",
+  "noResults.status": "{status} চিহ্নিত",
+  "noResults.group": "{group} বিষয়ে",
+  "noResults.categories": "{categories} বিষয়ে",
+  "noResults.or": " বা ",
+  "noResults.and": ", ",
+  "noResults.clear": "ফিল্টার মুছুন",
+
+  "categories.title": "বিষয়সমূহ",
+  "categories.selected": "({count}টি নির্বাচিত)",
+  "categories.clear": "বিষয় বাছাই মুছুন",
+
+  "review.title": "রিভিউ",
+  "review.progress": "{left}টি বাকি · এই সেশনে {reviewed}টি রিভিউ হয়েছে",
+  "review.reveal": "অর্থ দেখতে চাপুন",
+  "review.showAnswer": "উত্তর দেখুন",
+  "review.answerShown": "উত্তর দেখানো হয়েছে",
+  "review.empty": "এখন রিভিউয়ের কিছু নেই। পরে আবার আসুন!",
+  "review.checkAgain": "আবার দেখুন",
+  "grade.0": "আবার",
+  "grade.1": "কঠিন",
+  "grade.2": "ভালো",
+  "grade.3": "সহজ",
+  "interval.minutes": "{count} মি",
+  "interval.days": "{count} দিন",
+  "interval.months": "{count} মাস",
+  "interval.years": "{count} বছর",
+
+  "quiz.title": "কুইজ",
+  "quiz.scope": "কুইজের শব্দ",
+  "quiz.searchPlaceholder": "বিষয় বা শব্দ দিয়ে সীমিত করুন...",
+  "quiz.searchLabel": "কুইজের শব্দ সীমিত করুন",
+  "quiz.scopeSize": "বর্তমান ফিল্টারে {count}টি শব্দ মেলে",
+  "quiz.type": "কুইজের ধরন",
+  "quizMode.ar-bn": "আরবি → {language}",
+  "quizMode.bn-ar": "{language} → আরবি",
+  "quizMode.typed": "আরবি লিখুন",
+  "quiz.length": "{count}টি প্রশ্ন",
+  "quiz.start": "কুইজ শুরু করুন",
+  "quiz.progress": "{total}টির মধ্যে {current} নম্বর প্রশ্ন",
+  "quiz.typedLabel": "আরবিতে আপনার উত্তর",
+  "quiz.check": "যাচাই করুন",
+  "quiz.correct": "সঠিক",
+  "quiz.answer": "উত্তর:",
+  "quiz.next": "পরবর্তী",
+  "quiz.score": "{total}টির মধ্যে {correct}টি সঠিক",
+  "quiz.missed": "ভুল হওয়া শব্দ",
+  "quiz.retryMissed": "ভুলগুলো আবার চেষ্টা করুন",
+  "quiz.new": "নতুন কুইজ",
+
+  "stats.title": "পরিসংখ্যান",
+  "stats.dayStreak": "টানা দিন",
+  "stats.longestStreak": "সর্বোচ্চ টানা দিন",
+  "stats.reviewsToday": "আজকের রিভিউ",
+  "stats.reviewsTotal": "মোট রিভিউ",
+  "stats.daily": "দৈনিক রিভিউ",
+  "stats.dailyEmpty": "ক্যালেন্ডার ভরাতে অধ্যয়ন করুন বা কুইজ দিন।",
+  "stats.dayReviews": "{date}: {count}টি রিভিউ",
+  "stats.accuracy": "সপ্তাহভিত্তিক নির্ভুলতা",
+  "stats.accuracyHint":
+    'যেসব রিভিউ "আবার" দেওয়া হয়নি এবং কুইজের যেসব উত্তর সঠিক, তার শতাংশ।',
+  "stats.weekAccuracy": "{count}টি উত্তরের মধ্যে {correct}টি সঠিক",
+  "stats.noReviews": "কোনো রিভিউ নেই",
+  "stats.upcoming": "আসন্ন রিভিউ",
+  "stats.today": "আজ",
+  "stats.due": "{count}টি রিভিউ বাকি",
+  "stats.byDifficulty": "কাঠিন্য অনুযায়ী জানা বা আয়ত্ত",
+  "stats.knownOverall": "মোট {count}টি শব্দের মধ্যে {known}টি জানা",
+  "stats.byCategory": "বিষয় অনুযায়ী জানা বা আয়ত্ত",
+  "stats.missed": "সবচেয়ে বেশি ভুল হওয়া শব্দ",
+  "stats.missedCount": "{attempts} বারের মধ্যে {misses} বার ভুল",
+  "stats.noMissed": "এখনো কোনো শব্দে ভুল হয়নি।",
+
+  "word.back": "← সব শব্দে ফিরে যান",
+  "word.edit": "সম্পাদনা",
+  "word.notFound": '"{id}" আইডির কোনো শব্দ নেই',
+  "word.morphology": "শব্দগঠন",
+  "word.root": "মূল ধাতু",
+  "word.rootGuessed": "মূল ধাতু (অনুমিত)",
+  "word.pattern": "ওজন (ওয়াযন)",
+  "word.plural": "বহুবচন",
+  "word.feminine": "স্ত্রীলিঙ্গ",
+  "word.examples": "উদাহরণ",
+  "word.reference": "কুরআন {reference}",
+  "word.sameRoot": "একই মূল ধাতু ({root})",
+  "word.sameCategory": "{category} বিষয়ের আরও শব্দ",
+
+  "editor.addTitle": "শব্দ যোগ করুন",
+  "editor.editTitle": "শব্দ সম্পাদনা",
+  "editor.hint":
+    "পরিবর্তনগুলো এই ব্রাউজারে সংরক্ষিত থাকে; ডেটা পাতা থেকে এক্সপোর্ট করুন",
+  "editor.arabic": "আরবি",
+  "editor.bengali": "বাংলা অর্থ",
+  "editor.english": "ইংরেজি অর্থ",
+  "editor.urdu": "উর্দু অর্থ",
+  "editor.pronunciation": "উচ্চারণ",
+  "editor.generated": "খালি রাখলে নিজে থেকে তৈরি হবে",
+  "editor.duplicates": "একই বর্ণের শব্দ তালিকায় আগেই আছে:",
+  "editor.allowDuplicate": "তবুও আলাদা শব্দ হিসেবে সংরক্ষণ করুন",
+  "editor.category": "বিষয়",
+  "editor.difficulty": "কাঠিন্য",
+  "editor.notes": "টীকা",
+  "editor.add": "শব্দ যোগ করুন",
+  "editor.save": "পরিবর্তন সংরক্ষণ করুন",
+  "editor.cancel": "বাতিল",
+  "editor.delete": "মুছুন",
+  "editor.confirmDelete": "{arabic} ({meaning}) মুছে ফেলবেন?",
+
+  "data.title": "ইমপোর্ট ও এক্সপোর্ট",
+  "data.export": "এক্সপোর্ট",
+  "data.exportScope": "{scope} অনুযায়ী {count}টি শব্দ",
+  "data.exportAll": "{count}টি শব্দ (কোনো ফিল্টার নেই)",
+  "data.changeFilters": "ফিল্টার বদলান",
+  "data.anki": "Anki ডেক (TSV)",
+  "data.import": "ইমপোর্ট",
+  "data.importHint":
+    "হেডার সারিসহ CSV, TSV বা JSON। বিদ্যমান আইডির সারি সেই শব্দটি বদলে দেয়; আইডি ছাড়া সারি নতুন শব্দ হিসেবে যোগ হয়।",
+  "data.chooseFile": "ফাইল বাছুন…",
+  "data.fileEmpty": "ফাইলটি খালি",
+  "data.invalidJSON": "অবৈধ JSON: {detail}",
+  "data.noWordArray": 'শব্দের একটি তালিকা বা "words" তালিকা থাকা দরকার',
+  "data.noRows": "একটি হেডার সারি ও তার পরে শব্দের সারি থাকা দরকার",
+  "data.skipColumn": "— বাদ দিন —",
+  "data.problems": "সমস্যা",
+  "data.previewLimit": "{total}টি সারির প্রথম {shown}টি দেখানো হচ্ছে",
+  "data.importValid": "{count}টি সঠিক শব্দ ইমপোর্ট করুন",
+  "data.skippedRows": "ত্রুটিসহ {count}টি সারি বাদ যাবে",
+  "data.imported": "{count}টি শব্দ ইমপোর্ট হয়েছে",
+  "data.importedReplacing":
+    "{count}টি শব্দ ইমপোর্ট হয়েছে ({replaced}টি আগের শব্দ বদলেছে)",
+  "data.changes": "স্থানীয় পরিবর্তন",
+  "data.noChanges": "এই ব্রাউজারে এখনো কোনো শব্দ যোগ, সম্পাদনা বা মোছা হয়নি।",
+  "data.changeSummary":
+    "{count}টি শব্দ যোগ বা সম্পাদিত, {deleted}টি মোছা হয়েছে। মূল তালিকায় মেলাতে এগুলো ডাউনলোড করুন।",
+  "data.downloadChanges": "পরিবর্তন ডাউনলোড করুন (JSON)",
+  "data.discardChanges": "পরিবর্তন বাতিল করুন",
+  "data.confirmDiscard": "{count}টি স্থানীয় পরিবর্তনের সবগুলো বাতিল করবেন?",
+
+  "validation.word": "শব্দ #{number}",
+  "validation.wordWithId": "শব্দ #{number} ({id})",
+  "validation.missing": '"{field}" নেই',
+  "validation.notArray": '"{field}" একটি তালিকা হতে হবে',
+  "validation.notObject": "একটি অবজেক্ট থাকা দরকার",
+  "validation.wrongType": '"{field}" অবশ্যই {type} হতে হবে',
+  "validation.empty": '"{field}" খালি',
+  "validation.notOneOf":
+    '"{field}" হলো "{value}", এগুলোর একটি হওয়া দরকার: {allowed}',
+  "validation.referenceFormat":
+    '"{field}" হলো "{value}", "2:255"-এর মতো "সূরা:আয়াত" হওয়া দরকার',
+  "validation.audioFormat":
+    '"{field}" হলো "{value}", "w0189.mp3"-এর মতো ফাইলের নাম হওয়া দরকার',
+  "validation.unknownField": 'অজানা ঘর "{field}"',
+  "validation.duplicateId": 'আইডি "{id}" একাধিকবার আছে',
+  "validation.duplicateInFile": 'ফাইলে আইডি "{id}" একাধিকবার আছে',
+  "validation.noWords": 'একটি "words" তালিকা থাকা দরকার',
+  "validation.version":
+    "স্কিমা সংস্করণ {version} সমর্থিত নয় ({min}-{max} হওয়া দরকার)",
+});
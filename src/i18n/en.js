@@ -0,0 +1,307 @@
+// English interface strings, the fallback for every other locale.
+// Keys are "area.name"; {name} placeholders are filled in by translate().
+import { DIFFICULTY } from "../constants/difficulty.js";
+import { STATUS } from "../constants/status.js";
+import { GLOSS } from "../constants/glosses.js";
+import { GRADE_LABELS } from "../utils/srs.js";
+import {
+  GROUP_BY_LABELS,
+  WORD_SORT_HINTS,
+  WORD_SORT_LABELS,
+} from "../utils/sort.js";
+
+// { easy: "Easy" } → { "difficulty.easy": "Easy" }
+const prefixed = (prefix, labels) =>
+  Object.fromEntries(
+    Object.entries(labels).map(([key, label]) => [`${prefix}.${key}`, label])
+  );
+
+export const en = Object.freeze({
+  "nav.browse": "Browse",
+  "nav.study": "Study",
+  "nav.quiz": "Quiz",
+  "nav.stats": "Stats",
+  "nav.data": "Data",
+  "nav.settings": "Settings",
+
+  "settings.locale": "Interface language",
+  "settings.gloss": "Meanings in",
+
+  ...prefixed("gloss", GLOSS.LABELS),
+  "gloss.missing": "No {language} meaning yet, showing Bengali",
+
+  "settings.title": "Settings",
+  "settings.theme": "Theme",
+  "settings.highContrast": "High contrast",
+  "settings.arabicSize": "Arabic text size",
+  "settings.bengaliSize": "Bengali text size",
+  "settings.scale": "{percent}%",
+  "settings.quranFont": "Quranic script",
+  "settings.uthmaniHint":
+    "Uthmani is shown in the Amiri Quran font that comes with the app, or in the King Fahd Complex's HAFS font where this device has it installed.",
+  "theme.system": "System",
+  "theme.light": "Light",
+  "theme.dark": "Dark",
+  "quranFont.indopak": "IndoPak",
+  "quranFont.uthmani": "Uthmani",
+
+  "keyboard.show": "Arabic keyboard",
+  "keyboard.hide": "Hide Arabic keyboard",
+  "keyboard.label": "Arabic keyboard",
+  "keyboard.vowels": "Vowel marks",
+  "keyboard.space": "Space",
+  "keyboard.backspace": "Delete",
+  "keyboard.fatha": "Fatha",
+  "keyboard.kasra": "Kasra",
+  "keyboard.damma": "Damma",
+  "keyboard.sukun": "Sukun",
+  "keyboard.shadda": "Shadda",
+  "keyboard.fathatan": "Fathatan",
+  "keyboard.kasratan": "Kasratan",
+  "keyboard.dammatan": "Dammatan",
+  "keyboard.daggerAlif": "Dagger alif",
+
+  "error.title": "Something went wrong",
+  "error.retry": "Try again",
+
+  "update.available": "A new version with updated vocabulary is available.",
+  "update.later": "Later",
+  "update.reload": "Reload",
+
+  "difficulty.all": "All",
+  ...prefixed("difficulty", DIFFICULTY.LABELS),
+
+  "status.any": "Any status",
+  ...prefixed("status", STATUS.LABELS),
+
+  "group.all": "All topics",
+
+  "playback.play": "Play pronunciation",
+  "playback.playWord": "Play pronunciation of {arabic}",
+  "playback.failed": "Couldn't play the pronunciation",
+  "playback.failedWord": "Couldn't play {arabic}, try again",
+  "playback.speed": "Speed:",
+  "playback.autoPlay": "Auto-play",
+  "scheme.label": "Pronunciation:",
+
+  "browse.title": "Quranic Vocabulary",
+  "browse.showing": "Showing {shown} of {total} words",
+  "browse.total": "Total words: {total}",
+  "browse.progress":
+    "{mastered} of {total} mastered · {known} known · {learning} learning",
+  "browse.searchPlaceholder":
+    "Search category, word or Banglish (e.g. kitab, ghor)...",
+  "browse.searchLabel": "Search vocabulary",
+  "browse.strictArabic": "Match Arabic exactly (harakat and hamza)",
+  "browse.clearAll": "Clear all filters",
+  "browse.addWord": "+ Add a word",
+  "browse.gridLabel": "Words",
+  "browse.difficultyFilter": "Filter by difficulty",
+  "browse.statusFilter": "Filter by status",
+  "browse.shortcuts":
+    "Keys: / search · 0–3 difficulty · arrows move between words · Enter opens",
+  "browse.wordCount": { one: "{count} word", other: "{count} words" },
+  "browse.noRoot": "No root",
+  "browse.allWords": "All words",
+  "browse.showOnly": "Show only",
+  "browse.showOnlyCategory": "Show only this category",
+  "browse.groupBy": "Group by:",
+  "browse.sort": "Sort:",
+  ...prefixed("groupBy", GROUP_BY_LABELS),
+  ...prefixed("sort", WORD_SORT_LABELS),
+  ...prefixed("sortHint", WORD_SORT_HINTS),
+
+  "noResults.message": "No words found {conditions}",
+  "noResults.search": 'matching "{search}"',
+  "noResults.difficulty": "with {difficulty} difficulty",
+  "noResults.status": "marked {status}",
+  "noResults.group": "in {group}",
+  "noResults.categories": "in {categories}",
+  "noResults.or": " or ",
+  "noResults.and": " ",
+  "noResults.clear": "Clear filters",
+
+  "categories.title": "Categories",
+  "categories.selected": "({count} selected)",
+  "categories.clear": "Clear categories",
+
+  "review.title": "Review",
+  "review.progress": "{left} left · {reviewed} reviewed this session",
+  "review.reveal": "Tap to reveal",
+  "review.showAnswer": "Show answer",
+  "review.answerShown": "Answer shown",
+  "review.empty": "Nothing due right now. Come back later!",
+  "review.checkAgain": "Check again",
+  ...prefixed("grade", GRADE_LABELS),
+  "interval.minutes": "{count}m",
+  "interval.days": "{count}d",
+  "interval.months": "{count}mo",
+  "interval.years": "{count}y",
+
+  "quiz.title": "Quiz",
+  "quiz.scope": "Words in scope",
+  "quiz.searchPlaceholder": "Limit to a category or word...",
+  "quiz.searchLabel": "Limit quiz words",
+  "quiz.scopeSize": {
+    one: "{count} word matches the current filters",
+    other: "{count} words match the current filters",
+  },
+  "quiz.type": "Quiz type",
+  "quizMode.ar-bn": "Arabic → {language}",
+  "quizMode.bn-ar": "{language} → Arabic",
+  "quizMode.typed": "Type the Arabic",
+  "quiz.length": { one: "{count} question", other: "{count} questions" },
+  "quiz.start": "Start quiz",
+  "quiz.progress": "Question {current} of {total}",
+  "quiz.typedLabel": "Your answer in Arabic",
+  "quiz.check": "Check",
+  "quiz.correct": "Correct",
+  "quiz.answer": "Answer:",
+  "quiz.next": "Next",
+  "quiz.score": "{correct} of {total} correct",
+  "quiz.missed": "Missed words",
+  "quiz.retryMissed": "Retry missed",
+  "quiz.new": "New quiz",
+
+  "stats.title": "Statistics",
+  "stats.dayStreak": "Day streak",
+  "stats.longestStreak": "Longest streak",
+  "stats.reviewsToday": "Reviews today",
+  "stats.reviewsTotal": "Reviews in total",
+  "stats.daily": "Daily reviews",
+  "stats.dailyEmpty": "Study or take a quiz to start filling the calendar.",
+  "stats.dayReviews": {
+    one: "{count} review on {date}",
+    other: "{count} reviews on {date}",
+  },
+  "stats.accuracy": "Accuracy by week",
+  "stats.accuracyHint":
+    "Percent of reviews not graded Again and quiz answers that were correct.",
+  "stats.weekAccuracy": {
+    one: "{correct} of {count} answer correct",
+    other: "{correct} of {count} answers correct",
+  },
+  "stats.noReviews": "No reviews",
+  "stats.upcoming": "Upcoming reviews",
+  "stats.today": "Today",
+  "stats.due": { one: "{count} review due", other: "{count} reviews due" },
+  "stats.byDifficulty": "Known or mastered by difficulty",
+  "stats.knownOverall": {
+    one: "{known} of {count} word known overall",
+    other: "{known} of {count} words known overall",
+  },
+  "stats.byCategory": "Known or mastered by category",
+  "stats.missed": "Most missed words",
+  "stats.missedCount": "{misses} of {attempts} missed",
+  "stats.noMissed": "No missed words yet.",
+
+  "word.back": "← Back to all words",
+  "word.edit": "Edit",
+  "word.notFound": 'No word with id "{id}"',
+  "word.morphology": "Morphology",
+  "word.root": "Root",
+  "word.rootGuessed": "Root (guessed)",
+  "word.pattern": "Pattern (wazn)",
+  "word.plural": "Plural",
+  "word.feminine": "Feminine",
+  "word.examples": "Examples",
+  "word.reference": "Quran {reference}",
+  "word.sameRoot": "Same root ({root})",
+  "word.sameCategory": "More in {category}",
+
+  "editor.addTitle": "Add a word",
+  "editor.editTitle": "Edit word",
+  "editor.hint":
+    "Changes are saved in this browser; export them from the Data page",
+  "editor.arabic": "Arabic",
+  "editor.bengali": "Bengali meaning",
+  "editor.english": "English meaning",
+  "editor.urdu": "Urdu meaning",
+  "editor.pronunciation": "Pronunciation",
+  "editor.generated": "Generated when left blank",
+  "editor.duplicates": "Already in the list with the same letters:",
+  "editor.allowDuplicate": "Save as a separate word anyway",
+  "editor.category": "Category",
+  "editor.difficulty": "Difficulty",
+  "editor.notes": "Notes",
+  "editor.add": "Add word",
+  "editor.save": "Save changes",
+  "editor.cancel": "Cancel",
+  "editor.delete": "Delete",
+  "editor.confirmDelete": "Delete {arabic} ({meaning})?",
+
+  "data.title": "Import & Export",
+  "data.export": "Export",
+  "data.exportScope": {
+    one: "{count} word matching {scope}",
+    other: "{count} words matching {scope}",
+  },
+  "data.exportAll": {
+    one: "{count} word (no filters)",
+    other: "{count} words (no filters)",
+  },
+  "data.scopeSeparator": ", ",
+  "data.changeFilters": "change filters",
+  "data.csv": "CSV",
+  "data.json": "JSON",
+  "data.anki": "Anki deck (TSV)",
+  "data.import": "Import",
+  "data.importHint":
+    "CSV, TSV or JSON with a header row. Rows with an existing id replace that word; rows without one are added.",
+  "data.chooseFile": "Choose file…",
+  "data.fileEmpty": "The file is empty",
+  "data.invalidJSON": "Invalid JSON: {detail}",
+  "data.noWordArray": 'Expected an array of words or a "words" array',
+  "data.noRows": "Expected a header row followed by word rows",
+  "data.skipColumn": "— skip —",
+  "data.problems": "Problems",
+  "data.previewLimit": "Showing the first {shown} of {total} rows",
+  "data.importValid": {
+    one: "Import {count} valid word",
+    other: "Import {count} valid words",
+  },
+  "data.skippedRows": {
+    one: "{count} row with errors will be skipped",
+    other: "{count} rows with errors will be skipped",
+  },
+  "data.imported": {
+    one: "Imported {count} word",
+    other: "Imported {count} words",
+  },
+  "data.importedReplacing": {
+    one: "Imported {count} word ({replaced} replaced existing words)",
+    other: "Imported {count} words ({replaced} replaced existing words)",
+  },
+  "data.changes": "Local changes",
+  "data.noChanges": "No words added, edited or deleted in this browser yet.",
+  "data.changeSummary": {
+    one: "{count} word added or edited, {deleted} deleted. Download them to merge into the source list.",
+    other:
+      "{count} words added or edited, {deleted} deleted. Download them to merge into the source list.",
+  },
+  "data.downloadChanges": "Download changes (JSON)",
+  "data.discardChanges": "Discard changes",
+  "data.confirmDiscard": {
+    one: "Discard the {count} local change?",
+    other: "Discard all {count} local changes?",
+  },
+
+  "validation.word": "word #{number}",
+  "validation.wordWithId": "word #{number} ({id})",
+  "validation.missing": 'missing "{field}"',
+  "validation.notArray": '"{field}" must be an array',
+  "validation.notObject": "expected an object",
+  "validation.wrongType": '"{field}" must be a {type}',
+  "validation.empty": '"{field}" is empty',
+  "validation.notOneOf": '"{field}" is "{value}", expected one of {allowed}',
+  "validation.referenceFormat":
+    '"{field}" is "{value}", expected "surah:ayah" like "2:255"',
+  "validation.audioFormat":
+    '"{field}" is "{value}", expected a file name like "w0189.mp3"',
+  "validation.unknownField": 'unknown field "{field}"',
+  "validation.duplicateId": 'duplicate id "{id}"',
+  "validation.duplicateInFile": 'duplicate id "{id}" in file',
+  "validation.noWords": 'expected a "words" array',
+  "validation.version":
+    "unsupported schema version {version} (expected {min}-{max})",
+});
@@ -0,0 +1,308 @@
+// Urdu interface strings, laid out right to left; missing keys fall back
+// to English
+export const ur = Object.freeze({
+  "nav.browse": "فہرست",
+  "nav.study": "مطالعہ",
+  "nav.quiz": "کوئز",
+  "nav.stats": "اعداد و شمار",
+  "nav.data": "ڈیٹا",
+  "nav.settings": "ترتیبات",
+
+  "settings.locale": "انٹرفیس کی زبان",
+  "settings.gloss": "معانی کی زبان",
+
+  "gloss.bengali": "بنگالی",
+  "gloss.english": "انگریزی",
+  "gloss.urdu": "اردو",
+  "gloss.missing": "ابھی {language} معنی موجود نہیں، بنگالی دکھایا جا رہا ہے",
+
+  "settings.title": "ترتیبات",
+  "settings.theme": "تھیم",
+  "settings.highContrast": "زیادہ تضاد",
+  "settings.arabicSize": "عربی متن کا سائز",
+  "settings.bengaliSize": "بنگالی متن کا سائز",
+  "settings.scale": "{percent}%",
+  "settings.quranFont": "قرآنی رسم الخط",
+  "settings.uthmaniHint":
+    "عثمانی رسم الخط ایپ کے ساتھ آنے والے Amiri Quran فونٹ میں دکھایا جاتا ہے؛ اس آلے پر شاہ فہد کمپلیکس کا HAFS فونٹ نصب ہو تو وہ استعمال ہوتا ہے۔",
+  "theme.system": "سسٹم",
+  "theme.light": "روشن",
+  "theme.dark": "تاریک",
+  "quranFont.indopak": "انڈوپاک",
+  "quranFont.uthmani": "عثمانی",
+
+  "keyboard.show": "عربی کی بورڈ",
+  "keyboard.hide": "عربی کی بورڈ چھپائیں",
+  "keyboard.label": "عربی کی بورڈ",
+  "keyboard.vowels": "اعراب",
+  "keyboard.space": "خالی جگہ",
+  "keyboard.backspace": "مٹائیں",
+  "keyboard.fatha": "زبر",
+  "keyboard.kasra": "زیر",
+  "keyboard.damma": "پیش",
+  "keyboard.sukun": "جزم",
+  "keyboard.shadda": "تشدید",
+  "keyboard.fathatan": "دو زبر",
+  "keyboard.kasratan": "دو زیر",
+  "keyboard.dammatan": "دو پیش",
+  "keyboard.daggerAlif": "کھڑا زبر",
+
+  "error.title": "کچھ غلط ہو گیا",
+  "error.retry": "دوبارہ کوشش کریں",
+
+  "update.available": "تازہ ذخیرۂ الفاظ کے ساتھ نیا ورژن دستیاب ہے۔",
+  "update.later": "بعد میں",
+  "update.reload": "دوبارہ لوڈ کریں",
+
+  "difficulty.all": "سب",
+  "difficulty.easy": "آسان",
+  "difficulty.medium": "درمیانہ",
+  "difficulty.hard": "مشکل",
+
+  "status.any": "کوئی بھی حالت",
+  "status.new": "نیا",
+  "status.learning": "زیرِ تعلیم",
+  "status.known": "معلوم",
+  "status.mastered": "پختہ",
+
+  "group.all": "تمام موضوعات",
+
+  "playback.play": "تلفظ سنیں",
+  "playback.playWord": "{arabic} کا تلفظ سنیں",
+  "playback.failed": "تلفظ نہیں چل سکا",
+  "playback.failedWord": "{arabic} نہیں چل سکا، دوبارہ کوشش کریں",
+  "playback.speed": "رفتار:",
+  "playback.autoPlay": "خودکار آواز",
+  "scheme.label": "تلفظ:",
+
+  "browse.title": "قرآنی ذخیرۂ الفاظ",
+  "browse.showing": "{total} میں سے {shown} الفاظ",
+  "browse.total": "کل الفاظ: {total}",
+  "browse.progress":
+    "{total} میں سے {mastered} پختہ · {known} معلوم · {learning} زیرِ تعلیم",
+  "browse.searchPlaceholder":
+    "موضوع، لفظ یا رومن حروف میں تلاش کریں (مثلاً kitab)...",
+  "browse.searchLabel": "الفاظ میں تلاش کریں",
+  "browse.strictArabic": "عربی بالکل مطابق ہو (حرکات اور ہمزہ)",
+  "browse.clearAll": "تمام فلٹر ہٹائیں",
+  "browse.addWord": "+ نیا لفظ شامل کریں",
+  "browse.gridLabel": "الفاظ",
+  "browse.difficultyFilter": "مشکل کے لحاظ سے چھانٹیں",
+  "browse.statusFilter": "حالت کے لحاظ سے چھانٹیں",
+  "browse.shortcuts":
+    "کلیدیں: / تلاش · 0–3 مشکل · تیر کی کلیدوں سے الفاظ میں حرکت · Enter کھولتا ہے",
+  "browse.wordCount": { one: "{count} لفظ", other: "{count} الفاظ" },
+  "browse.noRoot": "بے مادہ",
+  "browse.allWords": "تمام الفاظ",
+  "browse.showOnly": "صرف یہ",
+  "browse.showOnlyCategory": "صرف یہ موضوع دکھائیں",
+  "browse.groupBy": "گروہ بندی:",
+  "browse.sort": "ترتیب:",
+  "groupBy.category": "موضوع",
+  "groupBy.root": "مادہ",
+  "groupBy.none": "کوئی نہیں",
+  "sort.hardest": "مشکل پہلے",
+  "sort.easiest": "آسان پہلے",
+  "sort.hijai": "عربی (ہجائی)",
+  "sort.abjadi": "عربی (ابجدی)",
+  "sort.bengali": "بنگالی",
+  "sort.recent": "حال ہی میں شامل",
+  "sort.due": "دہرائی کے لیے",
+  "sort.weakest": "کوئز میں کمزور",
+  "sortHint.hardest": "مشکل الفاظ پہلے",
+  "sortHint.easiest": "آسان الفاظ پہلے",
+  "sortHint.hijai": "عربی حروفِ تہجی کی ترتیب (ا ب ت ث …)",
+  "sortHint.abjadi": "ابجد کی ترتیب (أبجد هوز حطي …)",
+  "sortHint.bengali": "بنگالی حروفِ تہجی کی ترتیب",
+  "sortHint.recent": "حال ہی میں شامل کیے گئے الفاظ پہلے",
+  "sortHint.due": "جن الفاظ کی دہرائی باقی ہے وہ پہلے",
+  "sortHint.weakest": "کوئز میں سب سے کم درستی والے پہلے",
+
+  "noResults.message": "{conditions} کوئی لفظ نہیں ملا",
+  "noResults.search": '"{search}" سے مطابقت رکھنے والا',
+  "noResults.difficulty": "{difficulty} درجے کا",
+  "noResults.status": "{status} نشان زدہ",
+  "noResults.group": "{group} میں",
+  "noResults.categories": "{categories} میں",
+  "noResults.or": " یا ",
+  "noResults.and": "، ",
+  "noResults.clear": "فلٹر ہٹائیں",
+
+  "categories.title": "موضوعات",
+  "categories.selected": "({count} منتخب)",
+  "categories.clear": "موضوعات کا انتخاب ہٹائیں",
+
+  "review.title": "دہرائی",
+  "review.progress": "{left} باقی · اس نشست میں {reviewed} دہرائے گئے",
+  "review.reveal": "معنی دیکھنے کے لیے دبائیں",
+  "review.showAnswer": "جواب دکھائیں",
+  "review.answerShown": "جواب دکھا دیا گیا",
+  "review.empty": "ابھی دہرانے کو کچھ نہیں۔ بعد میں آئیں!",
+  "review.checkAgain": "دوبارہ دیکھیں",
+  "grade.0": "دوبارہ",
+  "grade.1": "مشکل",
+  "grade.2": "اچھا",
+  "grade.3": "آسان",
+  "interval.minutes": "{count} منٹ",
+  "interval.days": "{count} دن",
+  "interval.months": { one: "{count} مہینہ", other: "{count} مہینے" },
+  "interval.years": "{count} سال",
+
+  "quiz.title": "کوئز",
+  "quiz.scope": "کوئز کے الفاظ",
+  "quiz.searchPlaceholder": "موضوع یا لفظ سے محدود کریں...",
+  "quiz.searchLabel": "کوئز کے الفاظ محدود کریں",
+  "quiz.scopeSize": {
+    one: "موجودہ فلٹر سے {count} لفظ ملتا ہے",
+    other: "موجودہ فلٹر سے {count} الفاظ ملتے ہیں",
+  },
+  "quiz.type": "کوئز کی قسم",
+  "quizMode.ar-bn": "عربی ← {language}",
+  "quizMode.bn-ar": "{language} ← عربی",
+  "quizMode.typed": "عربی لکھیں",
+  "quiz.length": { one: "{count} سوال", other: "{count} سوالات" },
+  "quiz.start": "کوئز شروع کریں",
+  "quiz.progress": "{total} میں سے سوال {current}",
+  "quiz.typedLabel": "عربی میں آپ کا جواب",
+  "quiz.check": "جانچیں",
+  "quiz.correct": "درست",
+  "quiz.answer": "جواب:",
+  "quiz.next": "اگلا",
+  "quiz.score": "{total} میں سے {correct} درست",
+  "quiz.missed": "غلط ہونے والے الفاظ",
+  "quiz.retryMissed": "غلط والے دوبارہ",
+  "quiz.new": "نیا کوئز",
+
+  "stats.title": "اعداد و شمار",
+  "stats.dayStreak": "مسلسل دن",
+  "stats.longestStreak": "سب سے طویل سلسلہ",
+  "stats.reviewsToday": "آج کی دہرائیاں",
+  "stats.reviewsTotal": "کل دہرائیاں",
+  "stats.daily": "روزانہ دہرائی",
+  "stats.dailyEmpty": "کیلنڈر بھرنے کے لیے مطالعہ کریں یا کوئز دیں۔",
+  "stats.dayReviews": {
+    one: "{date} کو {count} دہرائی",
+    other: "{date} کو {count} دہرائیاں",
+  },
+  "stats.accuracy": "ہفتہ وار درستی",
+  "stats.accuracyHint":
+    'وہ دہرائیاں جنہیں "دوبارہ" نہیں دیا گیا اور کوئز کے درست جوابات، فیصد میں۔',
+  "stats.weekAccuracy": "{count} میں سے {correct} جواب درست",
+  "stats.noReviews": "کوئی دہرائی نہیں",
+  "stats.upcoming": "آنے والی دہرائیاں",
+  "stats.today": "آج",
+  "stats.due": {
+    one: "{count} دہرائی باقی",
+    other: "{count} دہرائیاں باقی",
+  },
+  "stats.byDifficulty": "مشکل کے لحاظ سے معلوم یا پختہ",
+  "stats.knownOverall": "کل {count} الفاظ میں سے {known} معلوم",
+  "stats.byCategory": "موضوع کے لحاظ سے معلوم یا پختہ",
+  "stats.missed": "سب سے زیادہ غلط ہونے والے الفاظ",
+  "stats.missedCount": "{attempts} میں سے {misses} بار غلط",
+  "stats.noMissed": "ابھی تک کوئی لفظ غلط نہیں ہوا۔",
+
+  "word.back": "→ تمام الفاظ پر واپس",
+  "word.edit": "ترمیم",
+  "word.notFound": '"{id}" شناخت کا کوئی لفظ نہیں',
+  "word.morphology": "صرف",
+  "word.root": "مادہ",
+  "word.rootGuessed": "مادہ (اندازہ)",
+  "word.pattern": "وزن",
+  "word.plural": "جمع",
+  "word.feminine": "مؤنث",
+  "word.examples": "مثالیں",
+  "word.reference": "قرآن {reference}",
+  "word.sameRoot": "ہم مادہ ({root})",
+  "word.sameCategory": "{category} کے مزید الفاظ",
+
+  "editor.addTitle": "نیا لفظ شامل کریں",
+  "editor.editTitle": "لفظ میں ترمیم",
+  "editor.hint":
+    "تبدیلیاں اسی براؤزر میں محفوظ ہوتی ہیں؛ انہیں ڈیٹا کے صفحے سے ایکسپورٹ کریں",
+  "editor.arabic": "عربی",
+  "editor.bengali": "بنگالی معنی",
+  "editor.english": "انگریزی معنی",
+  "editor.urdu": "اردو معنی",
+  "editor.pronunciation": "تلفظ",
+  "editor.generated": "خالی چھوڑنے پر خود بن جائے گا",
+  "editor.duplicates": "انہی حروف والا لفظ فہرست میں پہلے سے موجود ہے:",
+  "editor.allowDuplicate": "پھر بھی الگ لفظ کے طور پر محفوظ کریں",
+  "editor.category": "موضوع",
+  "editor.difficulty": "مشکل",
+  "editor.notes": "حواشی",
+  "editor.add": "لفظ شامل کریں",
+  "editor.save": "تبدیلیاں محفوظ کریں",
+  "editor.cancel": "منسوخ",
+  "editor.delete": "حذف کریں",
+  "editor.confirmDelete": "{arabic} ({meaning}) حذف کریں؟",
+
+  "data.title": "امپورٹ اور ایکسپورٹ",
+  "data.export": "ایکسپورٹ",
+  "data.exportScope": {
+    one: "{scope} کے مطابق {count} لفظ",
+    other: "{scope} کے مطابق {count} الفاظ",
+  },
+  "data.exportAll": {
+    one: "{count} لفظ (کوئی فلٹر نہیں)",
+    other: "{count} الفاظ (کوئی فلٹر نہیں)",
+  },
+  "data.scopeSeparator": "، ",
+  "data.changeFilters": "فلٹر بدلیں",
+  "data.anki": "Anki ڈیک (TSV)",
+  "data.import": "امپورٹ",
+  "data.importHint":
+    "ہیڈر والی قطار کے ساتھ CSV، TSV یا JSON۔ موجودہ شناخت والی قطار اس لفظ کی جگہ لے لیتی ہے؛ بغیر شناخت کی قطاریں نئے الفاظ کے طور پر شامل ہوتی ہیں۔",
+  "data.chooseFile": "فائل منتخب کریں…",
+  "data.fileEmpty": "فائل خالی ہے",
+  "data.invalidJSON": "غلط JSON: {detail}",
+  "data.noWordArray": 'الفاظ کی فہرست یا "words" فہرست درکار ہے',
+  "data.noRows": "ہیڈر کی قطار اور اس کے بعد الفاظ کی قطاریں درکار ہیں",
+  "data.skipColumn": "— چھوڑ دیں —",
+  "data.problems": "مسائل",
+  "data.previewLimit": "{total} قطاروں میں سے پہلی {shown}",
+  "data.importValid": {
+    one: "{count} درست لفظ امپورٹ کریں",
+    other: "{count} درست الفاظ امپورٹ کریں",
+  },
+  "data.skippedRows": {
+    one: "غلطی والی {count} قطار چھوڑ دی جائے گی",
+    other: "غلطی والی {count} قطاریں چھوڑ دی جائیں گی",
+  },
+  "data.imported": {
+    one: "{count} لفظ امپورٹ ہو گیا",
+    other: "{count} الفاظ امپورٹ ہو گئے",
+  },
+  "data.importedReplacing": {
+    one: "{count} لفظ امپورٹ ہو گیا ({replaced} موجودہ الفاظ کی جگہ)",
+    other: "{count} الفاظ امپورٹ ہو گئے ({replaced} موجودہ الفاظ کی جگہ)",
+  },
+  "data.changes": "مقامی تبدیلیاں",
+  "data.noChanges":
+    "اس براؤزر میں ابھی تک کوئی لفظ شامل، تبدیل یا حذف نہیں ہوا۔",
+  "data.changeSummary":
+    "{count} الفاظ شامل یا تبدیل، {deleted} حذف۔ اصل فہرست میں ملانے کے لیے انہیں ڈاؤن لوڈ کریں۔",
+  "data.downloadChanges": "تبدیلیاں ڈاؤن لوڈ کریں (JSON)",
+  "data.discardChanges": "تبدیلیاں رد کریں",
+  "data.confirmDiscard": "تمام {count} مقامی تبدیلیاں رد کریں؟",
+
+  "validation.word": "لفظ #{number}",
+  "validation.wordWithId": "لفظ #{number} ({id})",
+  "validation.missing": '"{field}" موجود نہیں',
+  "validation.notArray": '"{field}" ایک فہرست ہونی چاہیے',
+  "validation.notObject": "ایک آبجیکٹ درکار ہے",
+  "validation.wrongType": '"{field}" کی قسم {type} ہونی چاہیے',
+  "validation.empty": '"{field}" خالی ہے',
+  "validation.notOneOf":
+    '"{field}" کی قدر "{value}" ہے، ان میں سے ایک درکار ہے: {allowed}',
+  "validation.referenceFormat":
+    '"{field}" کی قدر "{value}" ہے، "2:255" جیسا "سورہ:آیت" درکار ہے',
+  "validation.audioFormat":
+    '"{field}" کی قدر "{value}" ہے، "w0189.mp3" جیسا فائل کا نام درکار ہے',
+  "validation.unknownField": 'نامعلوم خانہ "{field}"',
+  "validation.duplicateId": 'شناخت "{id}" ایک سے زیادہ بار ہے',
+  "validation.duplicateInFile": 'فائل میں شناخت "{id}" ایک سے زیادہ بار ہے',
+  "validation.noWords": 'ایک "words" فہرست درکار ہے',
+  "validation.version":
+    "اسکیما ورژن {version} قابلِ قبول نہیں ({min}-{max} درکار ہے)",
+});
@@ -0,0 +1,411 @@
+import { useState, useMemo, useCallback, memo, lazy, Suspense } from "react";
+import { Link, useLocation } from "react-router";
+import { ErrorBoundary } from "react-error-boundary";
+import ErrorFallback from "../components/ErrorFallback";
+import { buildSearchIndex, filterWords } from "../utils/search";
+import { downloadText } from "../utils/download";
+import { categoryLabel, groupLabel } from "../utils/categories";
+import { localized } from "../utils/i18n";
+import { describeIssue } from "../data/loader";
+import { useTranslation } from "../hooks/useTranslation";
+import {
+  ImportError,
+  WORD_FIELDS,
+  guessMapping,
+  mapRows,
+  parseImport,
+  toAnkiDeck,
+  toCSV,
+  toChangesJSON,
+  toJSON,
+  validateImport,
+} from "../utils/exchange";
+
+const PREVIEW_ROWS = 50;
+
+// Loaded only in development so the lint rules stay out of the bundle
+const DataLintPanel = import.meta.env.DEV
+  ? lazy(() => import("../components/DataLintPanel"))
+  : null;
+
+const EXPORTS = [
+  {
+    label: "data.csv",
+    extension: "csv",
+    type: "text/csv",
+    build: (words) => toCSV(words),
+  },
+  {
+    label: "data.json",
+    extension: "json",
+    type: "application/json",
+    build: toJSON,
+  },
+  {
+    label: "data.anki",
+    extension: "txt",
+    type: "text/tab-separated-values",
+    build: toAnkiDeck,
+  },
+];
+
+// Export of the words matching the shared filters
+const ExportPanel = memo(function ExportPanel({ words, filters }) {
+  const { locale, t } = useTranslation();
+  const { search } = useLocation();
+  const { criteria } = filters;
+
+  const scope = [
+    criteria.difficulty && t(`difficulty.${criteria.difficulty}`),
+    criteria.status && t(`status.${criteria.status}`),
+    criteria.group && localized(groupLabel(criteria.group), locale),
+    ...criteria.categories.map((category) =>
+      localized(categoryLabel(category), locale)
+    ),
+    criteria.search && `"${criteria.search}"`,
+  ].filter(Boolean);
+
+  return (
+    <section className="bg-gray-800/50 rounded-xl p-4 border border-gray-700">
+      <h2 className="text-lg font-semibold mb-2">{t("data.export")}</h2>
+      <p className="text-sm text-gray-400 mb-4">
+        {scope.length
+          ? t("data.exportScope", {
+              count: words.length,
+              scope: scope.join(t("data.scopeSeparator")),
+            })
+          : t("data.exportAll", { count: words.length })}{" "}
+        ·{" "}
+        <Link
+          to={{ pathname: "/", search }}
+          className="text-indigo-300 hover:underline"
+        >
+          {t("data.changeFilters")}
+        </Link>
+      </p>
+      <div className="flex flex-wrap gap-2">
+        {EXPORTS.map(({ label, extension, type, build }) => (
+          <button
+            key={extension}
+            disabled={words.length === 0}
+            onClick={() =>
+              downloadText(
+                `quranic-vocabulary.${extension}`,
+                build(words),
+                type
+              )
+            }
+            className="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-lg text-white transition-colors disabled:opacity-50"
+          >
+            {t(label)}
+          </button>
+        ))}
+      </div>
+    </section>
+  );
+});
+
+// Column → field selects for a parsed file
+const ColumnMapping = memo(function ColumnMapping({
+  columns,
+  mapping,
+  onChange,
+}) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+      {columns.map((column) => (
+        <label
+          key={column}
+          className="flex items-center justify-between gap-2 bg-gray-700/50 rounded-lg px-3 py-2 text-sm"
+        >
+          <span className="truncate" title={column}>
+            {column}
+          </span>
+          <select
+            value={mapping[column] ?? ""}
+            onChange={(e) => onChange(column, e.target.value || null)}
+            className="bg-gray-700 rounded px-2 py-1"
+          >
+            <option value="">{t("data.skipColumn")}</option>
+            {WORD_FIELDS.map((field) => (
+              <option key={field} value={field}>
+                {field}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+    </div>
+  );
+});
+
+// First rows as they will be imported, with their validation problems
+const ImportPreview = memo(function ImportPreview({ entries, records }) {
+  const { locale, t } = useTranslation();
+  const fields = WORD_FIELDS.filter((field) =>
+    records.some((record) => field in record)
+  );
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-start text-gray-400">
+            <th className="p-2">#</th>
+            {fields.map((field) => (
+              <th key={field} className="p-2">
+                {field}
+              </th>
+            ))}
+            <th className="p-2">{t("data.problems")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.slice(0, PREVIEW_ROWS).map((entry, i) => (
+            <tr
+              key={i}
+              className={`border-t border-gray-700 ${
+                entry.errors.length ? "bg-rose-950/40" : ""
+              }`}
+            >
+              <td className="p-2 text-gray-500 align-top">{i + 1}</td>
+              {fields.map((field) => (
+                <td key={field} className="p-2 align-top">
+                  {field === "examples" && records[i][field]
+                    ? "…"
+                    : String(records[i][field] ?? "")}
+                </td>
+              ))}
+              <td className="p-2 text-rose-300 align-top">
+                {entry.errors
+                  .map((problem) => describeIssue(problem, locale))
+                  .join("; ")}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {entries.length > PREVIEW_ROWS && (
+        <p className="mt-2 text-xs text-gray-500">
+          {t("data.previewLimit", {
+            shown: PREVIEW_ROWS,
+            total: entries.length,
+          })}
+        </p>
+      )}
+    </div>
+  );
+});
+
+// Import of spreadsheets and JSON word lists into the local library
+const ImportPanel = memo(function ImportPanel({ vocabulary, library }) {
+  const { t } = useTranslation();
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [message, setMessage] = useState(null);
+
+  const handleFile = useCallback(
+    async (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (!file) return;
+
+      try {
+        const result = parseImport(await file.text(), file.name);
+        setParsed({ ...result, fileName: file.name });
+        setMapping(guessMapping(result.columns));
+        setMessage(null);
+      } catch (error) {
+        setParsed(null);
+        setMessage({
+          error: true,
+          text:
+            error instanceof ImportError
+              ? t(error.key, error.params)
+              : error.message,
+        });
+      }
+    },
+    [t]
+  );
+
+  const records = useMemo(
+    () => (parsed ? mapRows(parsed.rows, mapping) : []),
+    [parsed, mapping]
+  );
+  const entries = useMemo(
+    () => validateImport(records, vocabulary, library.lastIssued),
+    [records, vocabulary, library.lastIssued]
+  );
+  const valid = entries.filter((entry) => entry.word);
+  const replacing = valid.filter((entry) => entry.replaces).length;
+
+  const handleImport = () => {
+    library.importWords(valid.map((entry) => entry.word));
+    setMessage({
+      text: replacing
+        ? t("data.importedReplacing", {
+            count: valid.length,
+            replaced: replacing,
+          })
+        : t("data.imported", { count: valid.length }),
+    });
+    setParsed(null);
+  };
+
+  return (
+    <section className="bg-gray-800/50 rounded-xl p-4 border border-gray-700 space-y-4">
+      <h2 className="text-lg font-semibold">{t("data.import")}</h2>
+      <p className="text-sm text-gray-400">{t("data.importHint")}</p>
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-lg text-white transition-colors cursor-pointer">
+          {t("data.chooseFile")}
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,.json,text/csv,application/json"
+            onChange={handleFile}
+            className="sr-only"
+          />
+        </label>
+      </div>
+
+      {message && (
+        <p
+          role="status"
+          className={message.error ? "text-rose-300" : "text-emerald-300"}
+        >
+          {message.text}
+        </p>
+      )}
+
+      {parsed && (
+        <>
+          <h3 className="font-semibold">
+            {parsed.fileName}{" "}
+            <span className="text-sm text-gray-400 uppercase">
+              {parsed.format}
+            </span>
+          </h3>
+          <ColumnMapping
+            columns={parsed.columns}
+            mapping={mapping}
+            onChange={(column, field) =>
+              setMapping((prev) => ({ ...prev, [column]: field }))
+            }
+          />
+          <ImportPreview entries={entries} records={records} />
+          <div className="flex flex-wrap items-center gap-4">
+            <button
+              disabled={valid.length === 0}
+              onClick={handleImport}
+              className="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-lg text-white transition-colors disabled:opacity-50"
+            >
+              {t("data.importValid", { count: valid.length })}
+            </button>
+            {valid.length < entries.length && (
+              <span className="text-sm text-rose-300">
+                {t("data.skippedRows", {
+                  count: entries.length - valid.length,
+                })}
+              </span>
+            )}
+          </div>
+        </>
+      )}
+    </section>
+  );
+});
+
+// Words added, edited, imported or deleted in this browser
+const ChangesPanel = memo(function ChangesPanel({ library }) {
+  const { t } = useTranslation();
+  const { custom, deleted, changeCount } = library;
+  const edited = Object.keys(custom).length;
+
+  const handleReset = () => {
+    if (window.confirm(t("data.confirmDiscard", { count: changeCount }))) {
+      library.resetCustomWords();
+    }
+  };
+
+  return (
+    <section className="bg-gray-800/50 rounded-xl p-4 border border-gray-700">
+      <h2 className="text-lg font-semibold mb-2">{t("data.changes")}</h2>
+      <p className="text-sm text-gray-400 mb-4">
+        {changeCount === 0
+          ? t("data.noChanges")
+          : t("data.changeSummary", {
+              count: edited,
+              deleted: deleted.length,
+            })}
+      </p>
+      {changeCount > 0 && (
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() =>
+              downloadText(
+                "vocabulary-changes.json",
+                toChangesJSON(custom, deleted),
+                "application/json"
+              )
+            }
+            className="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-lg text-white transition-colors"
+          >
+            {t("data.downloadChanges")}
+          </button>
+          <button
+            onClick={handleReset}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-gray-300 transition-colors"
+          >
+            {t("data.discardChanges")}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+});
+
+// Word list import/export page
+function ImportExport({ vocabulary, filters, progress, library }) {
+  const { t } = useTranslation();
+  const vocabData = useMemo(() => vocabulary || [], [vocabulary]);
+  const searchIndex = useMemo(() => buildSearchIndex(vocabData), [vocabData]);
+
+  // The same words the Browse page shows for these filters
+  const filtered = useMemo(
+    () =>
+      filterWords(
+        vocabData,
+        { ...filters.criteria, statuses: progress.statuses },
+        searchIndex
+      ),
+    [vocabData, filters.criteria, progress.statuses, searchIndex]
+  );
+
+  return (
+    <ErrorBoundary FallbackComponent={ErrorFallback}>
+      <div className="w-full min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 text-gray-100 p-2 sm:p-4 md:p-6 overflow-x-hidden">
+        <header className="mb-8 text-center">
+          <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold bg-gradient-to-r from-indigo-400 to-purple-500 bg-clip-text text-transparent mb-2">
+            {t("data.title")}
+          </h1>
+        </header>
+
+        <div className="max-w-4xl mx-auto space-y-6">
+          <ExportPanel words={filtered} filters={filters} />
+          <ImportPanel vocabulary={vocabData} library={library} />
+          <ChangesPanel library={library} />
+          {DataLintPanel && (
+            <Suspense fallback={null}>
+              <DataLintPanel vocabulary={vocabData} />
+            </Suspense>
+          )}
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+}
+
+export default memo(ImportExport);
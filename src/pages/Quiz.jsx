@@ -0,0 +1,420 @@
+import { useState, useMemo, useCallback, useRef, memo } from "react";
+import { ErrorBoundary } from "react-error-boundary";
+import ErrorFallback from "../components/ErrorFallback";
+import DifficultyFilter from "../components/DifficultyFilter";
+import StatusFilter from "../components/StatusFilter";
+import CategoryGroupFilter from "../components/CategoryGroupFilter";
+import Gloss from "../components/Gloss";
+import ArabicKeyboard from "../components/ArabicKeyboard";
+import { buildSearchIndex, filterWords } from "../utils/search";
+import { countByGroup } from "../utils/categories";
+import {
+  QUIZ_MODES,
+  answerText,
+  buildQuiz,
+  isTypedAnswerCorrect,
+  scoreQuiz,
+} from "../utils/quiz";
+import { useTranslation } from "../hooks/useTranslation";
+
+const QUIZ_LENGTHS = [10, 20, 50];
+
+const optionStyle = (isAnswer, isChosen, answered) => {
+  if (!answered) return "bg-gray-700 hover:bg-gray-600";
+  if (isAnswer) return "bg-emerald-700";
+  if (isChosen) return "bg-rose-700";
+  return "bg-gray-700 opacity-60";
+};
+
+// Mode, length and scope selection
+const QuizSetup = memo(function QuizSetup({
+  filters,
+  groupCounts,
+  scopeSize,
+  mode,
+  onModeChange,
+  length,
+  onLengthChange,
+  onStart,
+  gloss,
+}) {
+  const { t } = useTranslation();
+  const searchRef = useRef(null);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gray-800/50 rounded-xl p-4 border border-gray-700 text-center">
+        <h2 className="text-lg font-semibold mb-2">{t("quiz.scope")}</h2>
+        <DifficultyFilter
+          selectedDifficulty={filters.selectedDifficulty}
+          onSelectDifficulty={filters.setSelectedDifficulty}
+        />
+        <StatusFilter
+          selectedStatus={filters.selectedStatus}
+          onSelectStatus={filters.setSelectedStatus}
+        />
+        <CategoryGroupFilter
+          selectedGroup={filters.selectedGroup}
+          onSelectGroup={filters.setSelectedGroup}
+          counts={groupCounts}
+        />
+        <input
+          ref={searchRef}
+          type="text"
+          placeholder={t("quiz.searchPlaceholder")}
+          value={filters.search}
+          onChange={(e) => filters.setSearch(e.target.value)}
+          className="px-3 py-2 rounded-xl bg-gray-700 text-gray-100 w-full max-w-md focus:outline-none focus:ring-2 focus:ring-indigo-400"
+          aria-label={t("quiz.searchLabel")}
+        />
+        <ArabicKeyboard
+          inputRef={searchRef}
+          value={filters.search}
+          onChange={filters.setSearch}
+        />
+        <p className="mt-2 text-sm text-gray-400">
+          {t("quiz.scopeSize", { count: scopeSize })}
+        </p>
+      </div>
+
+      <div className="bg-gray-800/50 rounded-xl p-4 border border-gray-700">
+        <h2 className="text-lg font-semibold mb-3 text-center">
+          {t("quiz.type")}
+        </h2>
+        <div className="grid sm:grid-cols-3 gap-2">
+          {Object.values(QUIZ_MODES).map((value) => (
+            <button
+              key={value}
+              onClick={() => onModeChange(value)}
+              className={`px-4 py-2 rounded-lg transition-all ${
+                mode === value
+                  ? "bg-indigo-600 text-white shadow-lg"
+                  : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+              }`}
+            >
+              {t(`quizMode.${value}`, { language: t(`gloss.${gloss}`) })}
+            </button>
+          ))}
+        </div>
+        <div className="flex justify-center gap-2 mt-4">
+          {QUIZ_LENGTHS.map((value) => (
+            <button
+              key={value}
+              onClick={() => onLengthChange(value)}
+              className={`px-3 py-1 rounded-lg text-sm ${
+                length === value
+                  ? "bg-indigo-600 text-white"
+                  : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+              }`}
+            >
+              {t("quiz.length", { count: value })}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="text-center">
+        <button
+          onClick={onStart}
+          disabled={scopeSize === 0}
+          className="px-6 py-3 bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 rounded-lg text-white font-semibold transition-colors"
+        >
+          {t("quiz.start")}
+        </button>
+      </div>
+    </div>
+  );
+});
+
+// A single multiple-choice or typed question
+const Question = memo(function Question({ question, mode, gloss, onAnswer }) {
+  const { t } = useTranslation();
+  const { word, options } = question;
+  const [chosen, setChosen] = useState(null);
+  const [typed, setTyped] = useState("");
+  const [result, setResult] = useState(null);
+  const typedRef = useRef(null);
+
+  const promptIsArabic = mode === QUIZ_MODES.AR_TO_BN;
+
+  const submit = (correct, given) => {
+    setResult({ correct, given });
+  };
+
+  return (
+    <div className="bg-gray-800/80 rounded-xl p-6 border border-gray-700">
+      <div
+        lang={promptIsArabic ? "ar" : undefined}
+        dir={promptIsArabic ? "rtl" : undefined}
+        className={`text-center mb-6 ${
+          promptIsArabic
+            ? "text-4xl font-quran text-indigo-300"
+            : "text-2xl text-gray-200"
+        }`}
+      >
+        {promptIsArabic ? word.arabic : <Gloss entry={word} language={gloss} />}
+      </div>
+
+      {options ? (
+        <div className="grid sm:grid-cols-2 gap-2">
+          {options.map((option) => (
+            <button
+              key={option.id}
+              disabled={result !== null}
+              onClick={() => {
+                setChosen(option.id);
+                submit(option.id === word.id, answerText(option, mode, gloss));
+              }}
+              className={`px-4 py-3 rounded-lg text-gray-100 transition-colors ${
+                promptIsArabic ? "" : "text-2xl font-quran"
+              } ${optionStyle(
+                option.id === word.id,
+                option.id === chosen,
+                result !== null
+              )}`}
+            >
+              {promptIsArabic ? (
+                <Gloss entry={option} language={gloss} />
+              ) : (
+                <span lang="ar" dir="rtl">
+                  {option.arabic}
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (result === null) {
+              submit(isTypedAnswerCorrect(typed, word), typed);
+            }
+          }}
+          className="flex flex-col items-center gap-3"
+        >
+          <input
+            ref={typedRef}
+            type="text"
+            dir="rtl"
+            lang="ar"
+            value={typed}
+            onChange={(e) => setTyped(e.target.value)}
+            readOnly={result !== null}
+            autoFocus
+            className="px-3 py-2 rounded-xl bg-gray-700 text-gray-100 text-2xl font-quran w-full max-w-md text-center focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            aria-label={t("quiz.typedLabel")}
+          />
+          <ArabicKeyboard
+            inputRef={typedRef}
+            value={typed}
+            onChange={setTyped}
+            disabled={result !== null}
+          />
+          {result === null && (
+            <button
+              type="submit"
+              className="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-lg text-white"
+            >
+              {t("quiz.check")}
+            </button>
+          )}
+          {result !== null && (
+            <p
+              className={result.correct ? "text-emerald-400" : "text-rose-400"}
+            >
+              {t(result.correct ? "quiz.correct" : "quiz.answer")}{" "}
+              <span lang="ar" dir="rtl" className="font-quran text-2xl">
+                {word.arabic}
+              </span>
+            </p>
+          )}
+        </form>
+      )}
+
+      {result !== null && (
+        <div className="mt-6 text-center">
+          <button
+            autoFocus={options !== null}
+            onClick={() => onAnswer({ word, ...result })}
+            className="px-6 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-lg text-white"
+          >
+            {t("quiz.next")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+});
+
+// Score and the words that were answered wrong
+const QuizResults = memo(function QuizResults({
+  answers,
+  onRetryMissed,
+  onReset,
+  gloss,
+}) {
+  const { t } = useTranslation();
+  const { total, correct, percent, missed } = useMemo(
+    () => scoreQuiz(answers),
+    [answers]
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center bg-gray-800/50 rounded-xl p-6 border border-gray-700">
+        <div className="text-5xl font-bold text-indigo-300">{percent}%</div>
+        <p className="mt-2 text-gray-300">
+          {t("quiz.score", { correct, total })}
+        </p>
+      </div>
+
+      {missed.length > 0 && (
+        <div className="bg-gray-800/50 rounded-xl p-4 border border-gray-700">
+          <h2 className="text-lg font-semibold mb-3">{t("quiz.missed")}</h2>
+          <ul className="divide-y divide-gray-700">
+            {missed.map((word) => (
+              <li
+                key={word.id}
+                className="py-2 flex items-center justify-between gap-4"
+              >
+                <span
+                  lang="ar"
+                  dir="rtl"
+                  className="text-2xl font-quran text-indigo-300"
+                >
+                  {word.arabic}
+                </span>
+                <Gloss
+                  entry={word}
+                  language={gloss}
+                  className="text-gray-300"
+                />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex justify-center gap-2">
+        {missed.length > 0 && (
+          <button
+            onClick={() => onRetryMissed(missed)}
+            className="px-4 py-2 bg-rose-700 hover:bg-rose-600 rounded-lg text-white"
+          >
+            {t("quiz.retryMissed")}
+          </button>
+        )}
+        <button
+          onClick={onReset}
+          className="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-lg text-white"
+        >
+          {t("quiz.new")}
+        </button>
+      </div>
+    </div>
+  );
+});
+
+// Quiz page: setup → questions → results
+function Quiz({ vocabulary, filters, progress, gloss }) {
+  const { t } = useTranslation();
+  const vocabData = useMemo(() => vocabulary || [], [vocabulary]);
+  const searchIndex = useMemo(() => buildSearchIndex(vocabData), [vocabData]);
+  const groupCounts = useMemo(() => countByGroup(vocabData), [vocabData]);
+
+  const [mode, setMode] = useState(QUIZ_MODES.AR_TO_BN);
+  const [length, setLength] = useState(QUIZ_LENGTHS[0]);
+  const [questions, setQuestions] = useState(null);
+  const [answers, setAnswers] = useState([]);
+
+  // Same scope as the browse grid
+  const scope = useMemo(
+    () =>
+      filterWords(
+        vocabData,
+        { ...filters.criteria, statuses: progress.statuses },
+        searchIndex
+      ),
+    [vocabData, searchIndex, filters.criteria, progress.statuses]
+  );
+
+  const start = useCallback(
+    (words) => {
+      setQuestions(
+        buildQuiz(words, vocabData, { mode, length, gloss: gloss.language })
+      );
+      setAnswers([]);
+    },
+    [vocabData, mode, length, gloss.language]
+  );
+
+  const { recordQuizAnswer } = progress;
+  const handleAnswer = useCallback(
+    (answer) => {
+      recordQuizAnswer(answer.word, answer.correct);
+      setAnswers((prev) => [...prev, answer]);
+    },
+    [recordQuizAnswer]
+  );
+
+  const reset = useCallback(() => {
+    setQuestions(null);
+    setAnswers([]);
+  }, []);
+
+  const current = questions?.[answers.length];
+
+  return (
+    <ErrorBoundary FallbackComponent={ErrorFallback}>
+      <div className="w-full min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 text-gray-100 p-2 sm:p-4 md:p-6 overflow-x-hidden">
+        <header className="mb-8 text-center">
+          <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold bg-gradient-to-r from-indigo-400 to-purple-500 bg-clip-text text-transparent mb-2">
+            {t("quiz.title")}
+          </h1>
+          {questions && current && (
+            <p className="text-sm md:text-base text-gray-400">
+              {t("quiz.progress", {
+                current: answers.length + 1,
+                total: questions.length,
+              })}
+            </p>
+          )}
+        </header>
+
+        <div className="max-w-2xl mx-auto">
+          {!questions ? (
+            <QuizSetup
+              filters={filters}
+              groupCounts={groupCounts}
+              scopeSize={scope.length}
+              mode={mode}
+              onModeChange={setMode}
+              length={length}
+              onLengthChange={setLength}
+              onStart={() => start(scope)}
+              gloss={gloss.language}
+            />
+          ) : current ? (
+            <Question
+              key={answers.length}
+              question={current}
+              mode={mode}
+              gloss={gloss.language}
+              onAnswer={handleAnswer}
+            />
+          ) : (
+            <QuizResults
+              answers={answers}
+              onRetryMissed={start}
+              onReset={reset}
+              gloss={gloss.language}
+            />
+          )}
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+}
+
+export default memo(Quiz);
@@ -0,0 +1,206 @@
+import { useState, useEffect, useMemo, useCallback, memo } from "react";
+import { ErrorBoundary } from "react-error-boundary";
+import { DIFFICULTY } from "../constants/difficulty";
+import ErrorFallback from "../components/ErrorFallback";
+import PlayButton from "../components/PlayButton";
+import PlaybackControls from "../components/PlaybackControls";
+import Pronunciation from "../components/Pronunciation";
+import Gloss from "../components/Gloss";
+import {
+  GRADES,
+  buildReviewQueue,
+  createCard,
+  describeInterval,
+} from "../utils/srs";
+import { playWord, stopPlayback } from "../utils/audio";
+import { useTranslation } from "../hooks/useTranslation";
+
+const GRADE_STYLES = Object.freeze({
+  [GRADES.AGAIN]: "bg-rose-700 hover:bg-rose-600",
+  [GRADES.HARD]: "bg-amber-700 hover:bg-amber-600",
+  [GRADES.GOOD]: "bg-emerald-700 hover:bg-emerald-600",
+  [GRADES.EASY]: "bg-sky-700 hover:bg-sky-600",
+});
+
+// Flashcard showing Arabic first, the meaning revealed on tap
+const Flashcard = memo(function Flashcard({
+  word,
+  revealed,
+  onReveal,
+  scheme,
+  gloss,
+}) {
+  const { t } = useTranslation();
+  const borderColor = DIFFICULTY.COLORS[word.difficulty] || "border-gray-500";
+
+  return (
+    <button
+      type="button"
+      onClick={onReveal}
+      disabled={revealed}
+      className={`w-full min-h-64 rounded-xl border-l-4 ${borderColor} bg-gray-800/80 p-6 flex flex-col items-center justify-center gap-4`}
+      aria-label={t(revealed ? "review.answerShown" : "review.showAnswer")}
+    >
+      <div
+        lang="ar"
+        dir="rtl"
+        className="text-4xl md:text-5xl font-quran text-indigo-300"
+      >
+        {word.arabic}
+      </div>
+      {revealed ? (
+        <div className="text-center">
+          <Gloss
+            entry={word}
+            language={gloss}
+            className="block text-xl md:text-2xl text-gray-200"
+          />
+          <Pronunciation
+            word={word}
+            scheme={scheme}
+            className="text-sm text-gray-500 mt-1"
+          />
+        </div>
+      ) : (
+        <div className="text-sm text-gray-500">{t("review.reveal")}</div>
+      )}
+    </button>
+  );
+});
+
+// Flashcard review session over words due today
+function Review({ vocabulary, progress, audio, transliteration, gloss }) {
+  const { t } = useTranslation();
+  const { cards, grade } = progress;
+  const { rate, autoPlay } = audio;
+
+  // Snapshot the queue when the session starts; grading reorders it locally
+  const [queue, setQueue] = useState(() =>
+    buildReviewQueue(vocabulary || [], cards)
+  );
+  const [revealed, setRevealed] = useState(false);
+  const [reviewed, setReviewed] = useState(0);
+  const [playbackFailed, setPlaybackFailed] = useState(false);
+
+  const current = queue[0];
+  const card = useMemo(
+    () => current && (cards[current.id] ?? createCard(current)),
+    [current, cards]
+  );
+
+  // Auto-play reads each new card aloud as it comes up
+  useEffect(() => {
+    setPlaybackFailed(false);
+    if (!autoPlay || !current) return;
+    let cancelled = false;
+    playWord(current, { rate }).catch(() => {
+      if (!cancelled) setPlaybackFailed(true);
+    });
+    return () => {
+      cancelled = true;
+      stopPlayback();
+    };
+  }, [current, autoPlay, rate]);
+
+  const handleGrade = useCallback(
+    (value) => {
+      grade(current, value);
+      setRevealed(false);
+      setReviewed((count) => count + 1);
+      // Failed words come back at the end of this session
+      setQueue(([head, ...rest]) =>
+        value === GRADES.AGAIN ? [...rest, head] : rest
+      );
+    },
+    [current, grade]
+  );
+
+  // When grading the current card `value` would bring it back
+  const intervalText = (value) => {
+    const { unit, count } = describeInterval(card, value);
+    return t(`interval.${unit}`, { count });
+  };
+
+  const restart = useCallback(() => {
+    setQueue(buildReviewQueue(vocabulary || [], cards));
+    setReviewed(0);
+  }, [vocabulary, cards]);
+
+  return (
+    <ErrorBoundary FallbackComponent={ErrorFallback}>
+      <div className="w-full min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 text-gray-100 p-2 sm:p-4 md:p-6 overflow-x-hidden">
+        <header className="mb-8 text-center">
+          <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold bg-gradient-to-r from-indigo-400 to-purple-500 bg-clip-text text-transparent mb-2">
+            {t("review.title")}
+          </h1>
+          <p className="text-sm md:text-base text-gray-400">
+            {t("review.progress", { left: queue.length, reviewed })}
+          </p>
+          <PlaybackControls
+            rate={rate}
+            onRateChange={audio.setRate}
+            autoPlay={autoPlay}
+            onAutoPlayChange={audio.setAutoPlay}
+          />
+        </header>
+
+        <div className="max-w-xl mx-auto">
+          {current ? (
+            <>
+              <div className="relative">
+                <Flashcard
+                  word={current}
+                  revealed={revealed}
+                  onReveal={() => setRevealed(true)}
+                  scheme={transliteration.scheme}
+                  gloss={gloss.language}
+                />
+                <PlayButton
+                  word={current}
+                  rate={rate}
+                  className="absolute top-3 end-3 w-10 h-10"
+                />
+              </div>
+              {playbackFailed && (
+                <p
+                  role="alert"
+                  className="mt-2 text-center text-sm text-rose-300"
+                >
+                  {t("playback.failed")}
+                </p>
+              )}
+              {revealed && (
+                <div className="mt-4 grid grid-cols-4 gap-2">
+                  {Object.values(GRADES).map((value) => (
+                    <button
+                      key={value}
+                      onClick={() => handleGrade(value)}
+                      className={`px-2 py-3 rounded-lg text-white transition-colors ${GRADE_STYLES[value]}`}
+                    >
+                      <div className="font-semibold">{t(`grade.${value}`)}</div>
+                      <div className="text-xs opacity-75">
+                        {intervalText(value)}
+                      </div>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="text-center py-12 bg-gray-800/50 backdrop-blur-sm rounded-xl border border-gray-700">
+              <p className="text-gray-300 text-lg">{t("review.empty")}</p>
+              <button
+                onClick={restart}
+                className="mt-4 px-4 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-lg text-white transition-colors"
+              >
+                {t("review.checkAgain")}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+}
+
+export default memo(Review);
@@ -0,0 +1,126 @@
+import { memo } from "react";
+import { ErrorBoundary } from "react-error-boundary";
+import ErrorFallback from "../components/ErrorFallback";
+import { DISPLAY } from "../constants/display";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Sample text previewing the Arabic and Bengali settings
+const ARABIC_SAMPLE = "بِسْمِ اللّٰهِ الرَّحْمٰنِ الرَّحِيْمِ";
+const BENGALI_SAMPLE = "পরম করুণাময় অসীম দয়ালু আল্লাহর নামে";
+
+const optionClass = (active) =>
+  `px-3 py-1 rounded-lg transition-colors ${
+    active
+      ? "bg-indigo-600 text-white"
+      : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+  }`;
+
+// Titled settings group
+const Section = memo(function Section({ title, children }) {
+  return (
+    <section className="bg-gray-800/50 rounded-xl p-4 border border-gray-700 space-y-3">
+      <h2 className="text-lg font-semibold">{title}</h2>
+      {children}
+    </section>
+  );
+});
+
+// Row of mutually exclusive buttons
+const Choice = memo(function Choice({ options, value, onChange, labelOf }) {
+  return (
+    <div className="flex flex-wrap gap-2 text-sm">
+      {options.map((option) => (
+        <button
+          key={option}
+          onClick={() => onChange(option)}
+          aria-pressed={value === option}
+          className={optionClass(value === option)}
+        >
+          {labelOf(option)}
+        </button>
+      ))}
+    </div>
+  );
+});
+
+// Theme, contrast, text sizes and Quranic font
+function Settings({ display }) {
+  const { t } = useTranslation();
+  const scaleLabel = (scale) =>
+    t("settings.scale", { percent: Math.round(scale * 100) });
+
+  return (
+    <ErrorBoundary FallbackComponent={ErrorFallback}>
+      <div className="w-full min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 text-gray-100 p-2 sm:p-4 md:p-6 overflow-x-hidden">
+        <header className="mb-8 text-center">
+          <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold bg-gradient-to-r from-indigo-400 to-purple-500 bg-clip-text text-transparent mb-2">
+            {t("settings.title")}
+          </h1>
+        </header>
+
+        <div className="max-w-2xl mx-auto space-y-6">
+          <Section title={t("settings.theme")}>
+            <Choice
+              options={DISPLAY.THEMES}
+              value={display.theme}
+              onChange={display.setTheme}
+              labelOf={(theme) => t(`theme.${theme}`)}
+            />
+            <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={display.highContrast}
+                onChange={(e) => display.setHighContrast(e.target.checked)}
+                className="accent-indigo-500"
+              />
+              {t("settings.highContrast")}
+            </label>
+          </Section>
+
+          <Section title={t("settings.arabicSize")}>
+            <Choice
+              options={DISPLAY.FONT_SCALES}
+              value={display.arabicScale}
+              onChange={display.setArabicScale}
+              labelOf={scaleLabel}
+            />
+            <p
+              lang="ar"
+              dir="rtl"
+              className="text-3xl font-quran text-indigo-300 text-center leading-loose"
+            >
+              {ARABIC_SAMPLE}
+            </p>
+          </Section>
+
+          <Section title={t("settings.quranFont")}>
+            <Choice
+              options={DISPLAY.QURAN_FONTS}
+              value={display.quranFont}
+              onChange={display.setQuranFont}
+              labelOf={(font) => t(`quranFont.${font}`)}
+            />
+            <p className="text-sm text-gray-400">{t("settings.uthmaniHint")}</p>
+          </Section>
+
+          <Section title={t("settings.bengaliSize")}>
+            <Choice
+              options={DISPLAY.FONT_SCALES}
+              value={display.bengaliScale}
+              onChange={display.setBengaliScale}
+              labelOf={scaleLabel}
+            />
+            <p
+              lang="bn"
+              className="text-xl font-liador text-gray-200 text-center"
+            >
+              {BENGALI_SAMPLE}
+            </p>
+          </Section>
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+}
+
+export default memo(Settings);
@@ -0,0 +1,346 @@
+import { memo, useMemo } from "react";
+import { Link } from "react-router";
+import { ErrorBoundary } from "react-error-boundary";
+import { DIFFICULTY } from "../constants/difficulty";
+import { STATUS } from "../constants/status";
+import ErrorFallback from "../components/ErrorFallback";
+import Gloss from "../components/Gloss";
+import { categoryLabel } from "../utils/categories";
+import { localized } from "../utils/i18n";
+import { useTranslation } from "../hooks/useTranslation";
+import {
+  accuracyByWeek,
+  buildHeatmap,
+  computeStreaks,
+  countByDay,
+  dayKey,
+  learnedByCategory,
+  learnedByDifficulty,
+  mostMissedWords,
+  reviewForecast,
+} from "../utils/stats";
+
+const HEATMAP_COLORS = Object.freeze([
+  "bg-gray-700/60",
+  "bg-emerald-900",
+  "bg-emerald-700",
+  "bg-emerald-500",
+  "bg-emerald-300",
+]);
+
+// Heatmap rows, Sunday first; Monday, Wednesday and Friday are labelled
+const WEEKDAYS = Object.freeze([0, 1, 2, 3, 4, 5, 6]);
+
+// Short weekday name; 4 January 1970 was a Sunday
+const weekdayName = (weekday, locale) =>
+  new Date(1970, 0, 4 + weekday).toLocaleDateString(locale, {
+    weekday: "short",
+  });
+
+const shortDate = (key, locale) =>
+  new Date(`${key}T00:00`).toLocaleDateString(locale, {
+    month: "short",
+    day: "numeric",
+  });
+
+// Titled panel used by every statistics section
+const Section = memo(function Section({ title, children }) {
+  return (
+    <section className="bg-gray-800/50 rounded-xl p-4 border border-gray-700">
+      <h2 className="text-lg font-semibold mb-3">{title}</h2>
+      {children}
+    </section>
+  );
+});
+
+// Large number with a caption
+const Tile = memo(function Tile({ value, label, className }) {
+  return (
+    <div className={`rounded-xl p-4 text-center ${className}`}>
+      <div className="text-3xl font-bold">{value}</div>
+      <div className="text-sm">{label}</div>
+    </div>
+  );
+});
+
+// Labelled progress bar: `value` of `total`
+const ProgressRow = memo(function ProgressRow({
+  label,
+  value,
+  total,
+  barClassName,
+}) {
+  const percent = total ? Math.round((value / total) * 100) : 0;
+  return (
+    <div className="mb-2">
+      <div className="flex justify-between text-sm text-gray-300">
+        <span>{label}</span>
+        <span>
+          {value} / {total}
+        </span>
+      </div>
+      <div className="h-2 bg-gray-700 rounded">
+        <div
+          className={`h-2 rounded ${barClassName}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+});
+
+// Vertical bars, each scaled to `max`, with a caption below
+const BarChart = memo(function BarChart({ bars, max, barClassName }) {
+  return (
+    <div className="flex items-end gap-1 h-32">
+      {bars.map((bar) => (
+        <div
+          key={bar.key}
+          className="flex-1 h-full flex flex-col justify-end items-center"
+          title={bar.title}
+        >
+          <div className="text-[10px] text-gray-400">{bar.value ?? ""}</div>
+          <div
+            className={`w-full rounded-t ${barClassName}`}
+            style={{
+              height: `${max && bar.value ? (bar.value / max) * 100 : 0}%`,
+            }}
+          />
+          <div className="text-[10px] text-gray-500 mt-1 whitespace-nowrap">
+            {bar.label}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+});
+
+// Daily activity as a calendar grid, one column per week
+const Heatmap = memo(function Heatmap({ columns }) {
+  const { locale, t } = useTranslation();
+
+  return (
+    <div className="flex gap-1 overflow-x-auto pb-1">
+      <div className="grid grid-rows-7 gap-1 text-[10px] text-gray-500 pe-1">
+        {WEEKDAYS.map((weekday) => (
+          <div key={weekday} className="h-3 leading-3">
+            {weekday % 2 ? weekdayName(weekday, locale) : ""}
+          </div>
+        ))}
+      </div>
+      {columns.map((column, week) => (
+        <div key={week} className="grid grid-rows-7 gap-1">
+          {column.map((day, weekday) =>
+            day ? (
+              <div
+                key={day.key}
+                className={`w-3 h-3 rounded-sm ${HEATMAP_COLORS[day.level]}`}
+                title={t("stats.dayReviews", {
+                  count: day.count,
+                  date: shortDate(day.key, locale),
+                })}
+              />
+            ) : (
+              <div key={weekday} className="w-3 h-3" />
+            )
+          )}
+        </div>
+      ))}
+    </div>
+  );
+});
+
+// Learning statistics page, computed locally from the stored review history
+function Stats({ vocabulary, progress, gloss }) {
+  const { locale, t } = useTranslation();
+  const { cards, history, statuses, counts } = progress;
+  const words = useMemo(() => vocabulary || [], [vocabulary]);
+
+  const activity = useMemo(() => {
+    const now = Date.now();
+    const dayCounts = countByDay(history);
+    return {
+      today: dayCounts.get(dayKey(now)) ?? 0,
+      total: [...dayCounts.values()].reduce((sum, count) => sum + count, 0),
+      streaks: computeStreaks(dayCounts, now),
+      heatmap: buildHeatmap(dayCounts, { now }),
+      accuracy: accuracyByWeek(history, { now }),
+    };
+  }, [history]);
+
+  const forecast = useMemo(() => reviewForecast(cards), [cards]);
+
+  const missed = useMemo(
+    () => mostMissedWords(history, words),
+    [history, words]
+  );
+
+  const byDifficulty = useMemo(
+    () => learnedByDifficulty(words, statuses),
+    [words, statuses]
+  );
+
+  const byCategory = useMemo(
+    () => learnedByCategory(words, statuses),
+    [words, statuses]
+  );
+
+  const accuracyBars = activity.accuracy.map((week) => ({
+    key: week.start,
+    value: week.percent,
+    label: shortDate(dayKey(week.start), locale),
+    title: week.total
+      ? t("stats.weekAccuracy", { correct: week.correct, count: week.total })
+      : t("stats.noReviews"),
+  }));
+
+  const forecastBars = forecast.map((day, i) => ({
+    key: day.key,
+    value: day.count || null,
+    label: i === 0 ? t("stats.today") : shortDate(day.key, locale),
+    title: t("stats.due", { count: day.count }),
+  }));
+
+  return (
+    <ErrorBoundary FallbackComponent={ErrorFallback}>
+      <div className="w-full min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 text-gray-100 p-2 sm:p-4 md:p-6 overflow-x-hidden">
+        <header className="mb-8 text-center">
+          <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold bg-gradient-to-r from-indigo-400 to-purple-500 bg-clip-text text-transparent mb-2">
+            {t("stats.title")}
+          </h1>
+        </header>
+
+        <div className="max-w-3xl mx-auto space-y-6">
+          <section className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {STATUS.ORDER.map((status) => (
+              <Tile
+                key={status}
+                value={counts[status]}
+                label={t(`status.${status}`)}
+                className={STATUS.BADGES[status]}
+              />
+            ))}
+          </section>
+
+          <section className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            <Tile
+              value={activity.streaks.current}
+              label={t("stats.dayStreak")}
+              className="bg-orange-900 text-orange-300"
+            />
+            <Tile
+              value={activity.streaks.longest}
+              label={t("stats.longestStreak")}
+              className="bg-gray-800 text-gray-300"
+            />
+            <Tile
+              value={activity.today}
+              label={t("stats.reviewsToday")}
+              className="bg-gray-800 text-gray-300"
+            />
+            <Tile
+              value={activity.total}
+              label={t("stats.reviewsTotal")}
+              className="bg-gray-800 text-gray-300"
+            />
+          </section>
+
+          <Section title={t("stats.daily")}>
+            <Heatmap columns={activity.heatmap} />
+            {activity.total === 0 && (
+              <p className="mt-3 text-sm text-gray-400">
+                {t("stats.dailyEmpty")}
+              </p>
+            )}
+          </Section>
+
+          <Section title={t("stats.accuracy")}>
+            <BarChart bars={accuracyBars} max={100} barClassName="bg-sky-600" />
+            <p className="mt-3 text-sm text-gray-400">
+              {t("stats.accuracyHint")}
+            </p>
+          </Section>
+
+          <Section title={t("stats.upcoming")}>
+            <BarChart
+              bars={forecastBars}
+              max={Math.max(...forecast.map((day) => day.count))}
+              barClassName="bg-indigo-600"
+            />
+          </Section>
+
+          <Section title={t("stats.byDifficulty")}>
+            {byDifficulty.map((row) => (
+              <ProgressRow
+                key={row.key}
+                label={
+                  row.key in DIFFICULTY.LABELS
+                    ? t(`difficulty.${row.key}`)
+                    : row.key
+                }
+                value={row.learned}
+                total={row.total}
+                barClassName={DIFFICULTY.DOTS[row.key] ?? "bg-gray-500"}
+              />
+            ))}
+            <p className="mt-3 text-sm text-gray-400">
+              {t("stats.knownOverall", {
+                known: counts.known + counts.mastered,
+                count: words.length,
+              })}
+            </p>
+          </Section>
+
+          <Section title={t("stats.byCategory")}>
+            <div className="grid sm:grid-cols-2 gap-x-6">
+              {byCategory.map((row) => (
+                <ProgressRow
+                  key={row.key}
+                  label={localized(categoryLabel(row.key), locale)}
+                  value={row.learned}
+                  total={row.total}
+                  barClassName="bg-violet-500"
+                />
+              ))}
+            </div>
+          </Section>
+
+          <Section title={t("stats.missed")}>
+            {missed.length ? (
+              <ol className="divide-y divide-gray-700">
+                {missed.map(({ word, misses, attempts }) => (
+                  <li key={word.id}>
+                    <Link
+                      to={`/word/${word.id}`}
+                      className="flex items-center justify-between gap-3 py-2 hover:bg-gray-700/40 rounded px-2"
+                    >
+                      <span
+                        lang="ar"
+                        dir="rtl"
+                        className="text-2xl font-quran text-indigo-300"
+                      >
+                        {word.arabic}
+                      </span>
+                      <Gloss
+                        entry={word}
+                        language={gloss.language}
+                        className="flex-1 text-gray-300 truncate"
+                      />
+                      <span className="text-sm text-rose-300 whitespace-nowrap">
+                        {t("stats.missedCount", { misses, attempts })}
+                      </span>
+                    </Link>
+                  </li>
+                ))}
+              </ol>
+            ) : (
+              <p className="text-sm text-gray-400">{t("stats.noMissed")}</p>
+            )}
+          </Section>
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+}
+
+export default memo(Stats);
@@ -1,88 +1,208 @@
 import {
   useState,
   useEffect,
+  useLayoutEffect,
   useMemo,
   useCallback,
   useRef,
   memo,
-  useId,
 } from "react";
+import { Link } from "react-router";
+import { VariableSizeList, areEqual } from "react-window";
 import { ErrorBoundary } from "react-error-boundary";
+import { DIFFICULTY } from "../constants/difficulty";
+import ErrorFallback from "../components/ErrorFallback";
+import DifficultyFilter from "../components/DifficultyFilter";
+import StatusFilter from "../components/StatusFilter";
+import CategoryGroupFilter from "../components/CategoryGroupFilter";
+import CategoryChips from "../components/CategoryChips";
+import PlayButton from "../components/PlayButton";
+import PlaybackControls from "../components/PlaybackControls";
+import Pronunciation from "../components/Pronunciation";
+import SchemePicker from "../components/SchemePicker";
+import Gloss from "../components/Gloss";
+import DifficultyMark from "../components/DifficultyMark";
+import ArabicKeyboard from "../components/ArabicKeyboard";
+import { STATUS } from "../constants/status";
+import { buildSearchIndex, createWordFilter } from "../utils/search";
+import { formatRoot, rootKey, wordRoot } from "../utils/roots";
+import { GROUP_BY, WORD_SORTS, createWordComparator } from "../utils/sort";
+import { localized } from "../utils/i18n";
+import { useBrowseSettings } from "../hooks/useBrowseSettings";
+import { useViewportSize } from "../hooks/useViewportSize";
+import { useTranslation } from "../hooks/useTranslation";
+import {
+  categoryLabel,
+  categoryOf,
+  countByGroup,
+  groupLabel,
+  groupOf,
+} from "../utils/categories";
+
+// Bucket for particles and phrases whose root can't be told
+const NO_ROOT = "No root";
 
-// Frozen constant objects for better memory optimization
-const DIFFICULTY = Object.freeze({
-  COLORS: Object.freeze({
-    easy: "border-emerald-500",
-    medium: "border-amber-500",
-    hard: "border-rose-500",
-  }),
-  DOTS: Object.freeze({
-    easy: "bg-emerald-500",
-    medium: "bg-amber-500",
-    hard: "bg-rose-500",
-  }),
-  ORDER: Object.freeze({ easy: 1, medium: 2, hard: 3 }),
-  LABELS: Object.freeze({
-    easy: "Easy",
-    medium: "Medium",
-    hard: "Hard",
-  }),
+// The single section of the ungrouped grid
+const ALL_WORDS = "All words";
+
+// Headings of the two buckets above, in the interface language
+const BUCKET_LABELS = Object.freeze({
+  [NO_ROOT]: "browse.noRoot",
+  [ALL_WORDS]: "browse.allWords",
 });
 
-// Fallback component for error boundary
-const ErrorFallback = ({ error, resetErrorBoundary }) => {
-  return (
-    <div className="p-6 bg-red-900/30 rounded-lg border border-red-500 text-center">
-      <h2 className="text-xl font-bold text-red-300 mb-2">
-        Something went wrong
-      </h2>
-      <p className="text-red-200 mb-4">{error.message}</p>
-      <button
-        onClick={resetErrorBoundary}
-        className="px-4 py-2 bg-red-700 hover:bg-red-600 text-white rounded-lg"
-      >
-        Try again
-      </button>
-    </div>
+// Row kinds of the virtualized grid: a parent group heading, a section
+// heading and a row of word cards
+const ROW = Object.freeze({
+  GROUP: "group",
+  SECTION: "section",
+  CARDS: "cards",
+});
+
+// Fixed heights (px) so react-window can place rows without measuring
+const CARD_HEIGHT = 128;
+// Room cards gain per step of text scale: a line of Arabic and two of
+// Bengali
+const ARABIC_LINE = 32;
+const BENGALI_LINES = 48;
+const CARD_GAP = 12;
+const SECTION_GAP = 32;
+const HEADING_HEIGHTS = Object.freeze({
+  [ROW.GROUP]: 72,
+  [ROW.SECTION]: 64,
+});
+const MIN_LIST_HEIGHT = 400;
+
+const cardHeightFor = ({ arabicScale, bengaliScale }) =>
+  Math.round(
+    CARD_HEIGHT +
+      ARABIC_LINE * (arabicScale - 1) +
+      BENGALI_LINES * (bengaliScale - 1)
   );
+
+const rowHeight = (row, cardHeight) =>
+  row.type === ROW.CARDS
+    ? cardHeight + CARD_GAP + (row.last ? SECTION_GAP : 0)
+    : HEADING_HEIGHTS[row.type];
+
+// Card columns at Tailwind's sm/md/lg breakpoints
+const columnsFor = (width) => {
+  if (width >= 1024) return 5;
+  if (width >= 768) return 4;
+  if (width >= 640) return 3;
+  return 2;
+};
+
+// What keeps the reading position when rows are rebuilt: the first word of
+// a card row, or the heading itself
+const rowAnchor = (row) => (row.type === ROW.CARDS ? row.words[0].id : row.key);
+const hasAnchor = (row, anchor) =>
+  row.type === ROW.CARDS
+    ? row.words.some((word) => word.id === anchor)
+    : row.key === anchor;
+
+// Keys typed into a field are text, not shortcuts
+const isEditable = (element) =>
+  element.isContentEditable ||
+  ["INPUT", "SELECT", "TEXTAREA"].includes(element.tagName);
+
+// Difficulty selected by each shortcut key, null for "all"
+const DIFFICULTY_KEYS = Object.freeze(
+  Object.fromEntries(
+    Object.entries(DIFFICULTY.SHORTCUTS).map(([difficulty, key]) => [
+      key,
+      difficulty === "all" ? null : difficulty,
+    ])
+  )
+);
+
+// Root families are keyed on the normalized root, so spellings that differ
+// only in the hamza seat share one section
+const groupKey = (word, groupBy) => {
+  if (groupBy === GROUP_BY.CATEGORY) return categoryOf(word.category);
+  if (groupBy === GROUP_BY.NONE) return ALL_WORDS;
+  return rootKey(wordRoot(word).root) || NO_ROOT;
 };
 
 // Optimized WordCard with better prop comparison
 const WordCard = memo(
-  function WordCard({ word }) {
-    const { arabic, bengali, pronunciation, difficulty } = word;
+  function WordCard({
+    word,
+    status = "new",
+    rate = 1,
+    scheme,
+    gloss,
+    active,
+    focusActive,
+    onFocus,
+  }) {
+    const { t } = useTranslation();
+    const { id, arabic, difficulty } = word;
     const borderColor = DIFFICULTY.COLORS[difficulty] || "border-gray-500";
-    const dotColor = DIFFICULTY.DOTS[difficulty] || "bg-gray-500";
-    const id = useId();
+    const linkRef = useRef(null);
+
+    // Follow arrow-key moves, also onto cards scrolled into view to get here
+    useEffect(() => {
+      if (active && focusActive) linkRef.current?.focus();
+    }, [active, focusActive]);
 
+    // The play button sits over the card rather than inside its link
     return (
-      <div
-        className={`relative rounded-lg overflow-hidden border-l-4 ${borderColor}`}
-        data-testid={`word-card-${id}`}
-      >
-        <div className="relative z-10 p-3 h-full flex flex-col items-center justify-center bg-gray-800/80">
-          <div
-            className={`absolute top-2 right-2 w-3 h-3 rounded-full ${dotColor}`}
-            title={DIFFICULTY.LABELS[difficulty]}
-          />
-          <div className="text-xl md:text-2xl font-quran text-indigo-300 mb-2">
-            {arabic}
-          </div>
-          <div className="text-center">
-            <div className="text-sm md:text-base text-gray-300 font-medium font-liador">
-              {bengali}
+      <div className="relative h-full" onFocus={() => onFocus(id)}>
+        <Link
+          ref={linkRef}
+          to={`/word/${id}`}
+          tabIndex={active ? 0 : -1}
+          className={`block relative h-full rounded-lg overflow-hidden border-l-4 ${borderColor} hover:ring-2 hover:ring-indigo-400 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-indigo-300 transition-shadow`}
+          data-word-id={id}
+          data-testid={`word-card-${id}`}
+        >
+          <div className="relative z-10 p-3 h-full flex flex-col items-center justify-center bg-gray-800/80">
+            <DifficultyMark
+              difficulty={difficulty}
+              label={t(`difficulty.${difficulty}`)}
+              className="absolute top-2 end-2"
+            />
+            <span
+              className={`absolute top-1.5 start-2 px-1.5 rounded text-[10px] leading-4 ${STATUS.BADGES[status]}`}
+            >
+              {t(`status.${status}`)}
+            </span>
+            <div
+              lang="ar"
+              dir="rtl"
+              className="text-xl md:text-2xl font-quran text-indigo-300 mb-2"
+            >
+              {arabic}
+            </div>
+            <div className="text-center">
+              <Gloss
+                entry={word}
+                language={gloss}
+                className="text-sm md:text-base text-gray-300 font-medium line-clamp-2"
+              />
+              <Pronunciation word={word} scheme={scheme} />
             </div>
-            {pronunciation && (
-              <div className="text-xs text-gray-500 mt-1">
-                [{pronunciation}]
-              </div>
-            )}
           </div>
-        </div>
+        </Link>
+        <PlayButton
+          word={word}
+          rate={rate}
+          className="absolute bottom-2 end-2 z-20 w-6 h-6 text-xs"
+          tabIndex={active ? 0 : -1}
+        />
       </div>
     );
   },
-  (prev, next) => prev.word === next.word
+  (prev, next) =>
+    prev.word === next.word &&
+    prev.status === next.status &&
+    prev.rate === next.rate &&
+    prev.scheme === next.scheme &&
+    prev.gloss === next.gloss &&
+    prev.active === next.active &&
+    prev.focusActive === next.focusActive &&
+    prev.onFocus === next.onFocus
 );
 
 // Loading component with skeleton
@@ -108,136 +228,178 @@ const LoadingSkeleton = memo(() => {
   );
 });
 
-// Optimized CategorySection with virtualization approach
-const CategorySection = memo(
-  function CategorySection({ category, words, isVisible }) {
-    // Use a ref for words to avoid unnecessary re-renders
-    const wordsRef = useRef(words);
-    const sectionId = useId();
-
-    // Update ref if words change
-    useEffect(() => {
-      wordsRef.current = words;
-    }, [words]);
+// Heading of a category, root family or the ungrouped list; the top of
+// the panel its card rows continue
+const SectionHeading = memo(function SectionHeading({
+  category,
+  root,
+  count,
+  groupBy,
+  onSelectCategory,
+}) {
+  const { locale, t } = useTranslation();
+  const label = categoryLabel(category);
 
-    // Memoized word cards
-    const wordCards = useMemo(() => {
-      if (!isVisible) return null; // Don't render word cards if not visible
+  return (
+    <div className="h-full bg-gray-800/50 rounded-t-xl border border-b-0 border-gray-700 px-4 md:px-6 flex items-center">
+      <h2 className="text-xl md:text-2xl font-bold flex items-center min-w-0">
+        {groupBy === GROUP_BY.ROOT && category !== NO_ROOT ? (
+          <span
+            lang="ar"
+            dir="rtl"
+            className="text-indigo-300 font-quran text-2xl md:text-3xl"
+          >
+            {root}
+          </span>
+        ) : groupBy !== GROUP_BY.CATEGORY ? (
+          <span className="text-indigo-300">
+            {BUCKET_LABELS[category] ? t(BUCKET_LABELS[category]) : category}
+          </span>
+        ) : (
+          <>
+            <button
+              type="button"
+              onClick={() => onSelectCategory(category)}
+              className="truncate bg-gradient-to-r from-indigo-400 to-purple-500 bg-clip-text text-transparent hover:underline decoration-indigo-400"
+              title={t("browse.showOnlyCategory")}
+            >
+              {localized(label, locale)}
+            </button>
+            {locale !== "bn" && label.bn && (
+              <span
+                lang="bn"
+                className="ms-3 truncate text-base md:text-lg font-normal font-liador text-gray-400"
+              >
+                {label.bn}
+              </span>
+            )}
+          </>
+        )}
+        <span className="ms-3 shrink-0 text-xs bg-gray-700 px-2 py-1 rounded-full">
+          {t("browse.wordCount", { count })}
+        </span>
+      </h2>
+    </div>
+  );
+});
 
-      return words.map((word, i) => (
-        <WordCard key={`${sectionId}-word-${i}`} word={word} />
-      ));
-    }, [words, isVisible, sectionId]);
+// Collapsible parent group heading above its subcategory sections
+const GroupHeading = memo(function GroupHeading({
+  group,
+  count,
+  collapsed,
+  onToggle,
+  onSelectGroup,
+}) {
+  const { locale, dir, t } = useTranslation();
+  const label = groupLabel(group);
 
-    return (
-      <section data-category={category}>
-        <div
-          style={{
-            opacity: isVisible ? 1 : 0,
-            transform: `translateY(${isVisible ? 0 : 20}px)`,
-            transition:
-              "opacity 0.3s cubic-bezier(0.16,1,0.3,1),transform 0.3s cubic-bezier(0.16,1,0.3,1)",
-          }}
-          className="bg-gray-800/50 backdrop-blur-sm rounded-xl p-4 md:p-6 border border-gray-700"
+  return (
+    <div className="h-full flex items-end pb-4">
+      <div className="w-full flex items-center gap-3 border-b border-gray-700 pb-2">
+        <button
+          type="button"
+          onClick={() => onToggle(group)}
+          aria-expanded={!collapsed}
+          className="flex items-baseline gap-3 min-w-0 text-start text-2xl md:text-3xl font-bold text-gray-100 hover:text-indigo-300"
         >
-          <h2 className="text-xl md:text-2xl font-bold mb-4 md:mb-6 flex items-center">
-            <span className="bg-gradient-to-r from-indigo-400 to-purple-500 bg-clip-text text-transparent">
-              {category}
+          <span className="w-4 text-base text-gray-400">
+            {collapsed ? (dir === "rtl" ? "◂" : "▸") : "▾"}
+          </span>
+          <span className="truncate">{localized(label, locale)}</span>
+          {locale !== "bn" && (
+            <span
+              lang="bn"
+              className="hidden sm:inline text-lg font-normal font-liador text-gray-400"
+            >
+              {label.bn}
             </span>
-            <span className="ml-3 text-xs bg-gray-700 px-2 py-1 rounded-full">
-              {words.length} words
-            </span>
-          </h2>
-          {/* ----- MOBILE-FRIENDLY GRID ----- */}
-          <div className="grid grid-cols-2 gap-2 sm:grid-cols-3 sm:gap-3 md:grid-cols-4 md:gap-4 lg:grid-cols-5">
-            {wordCards}
-          </div>
+          )}
+        </button>
+        <span className="shrink-0 text-xs bg-gray-700 px-2 py-1 rounded-full">
+          {t("browse.wordCount", { count })}
+        </span>
+        <button
+          type="button"
+          onClick={() => onSelectGroup(group)}
+          className="ms-auto shrink-0 text-sm text-indigo-300 hover:underline"
+        >
+          {t("browse.showOnly")}
+        </button>
+      </div>
+    </div>
+  );
+});
+
+// One row of the virtualized grid, positioned by react-window; headings
+// span every column
+const GridRow = memo(function GridRow({ index, style, data }) {
+  const row = data.rows[index];
+  const rowProps = { role: "row", "aria-rowindex": index + 1, style };
+
+  if (row.type === ROW.GROUP) {
+    return (
+      <div {...rowProps}>
+        <div role="gridcell" aria-colspan={data.columns} className="h-full">
+          <GroupHeading
+            group={row.group}
+            count={row.count}
+            collapsed={row.collapsed}
+            onToggle={data.onToggleGroup}
+            onSelectGroup={data.onSelectGroup}
+          />
         </div>
-      </section>
+      </div>
     );
-  },
-  (prev, next) => {
+  }
+
+  if (row.type === ROW.SECTION) {
     return (
-      prev.category === next.category &&
-      prev.isVisible === next.isVisible &&
-      prev.words.length === next.words.length &&
-      prev.words === next.words
+      <div {...rowProps}>
+        <div role="gridcell" aria-colspan={data.columns} className="h-full">
+          <SectionHeading
+            category={row.category}
+            root={row.root}
+            count={row.count}
+            groupBy={data.groupBy}
+            onSelectCategory={data.onSelectCategory}
+          />
+        </div>
+      </div>
     );
   }
-);
-
-// DifficultyFilter component
-const DifficultyFilter = memo(function DifficultyFilter({
-  selectedDifficulty,
-  onSelectDifficulty,
-}) {
-  const difficulties = ["easy", "medium", "hard"];
 
   return (
-    <div className="flex justify-center gap-2 my-4">
-      <button
-        onClick={() => onSelectDifficulty(null)}
-        className={`px-4 py-2 rounded-lg transition-all ${
-          selectedDifficulty === null
-            ? "bg-indigo-600 text-white shadow-lg"
-            : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+    <div {...rowProps}>
+      <div
+        className={`grid bg-gray-800/50 border-x border-gray-700 px-4 md:px-6 ${
+          row.last ? "rounded-b-xl border-b" : ""
         }`}
+        style={{
+          height: data.cardHeight + CARD_GAP,
+          paddingBottom: CARD_GAP,
+          gap: CARD_GAP,
+          gridTemplateColumns: `repeat(${data.columns}, minmax(0, 1fr))`,
+        }}
       >
-        All
-      </button>
-      {difficulties.map((diff) => (
-        <button
-          key={diff}
-          onClick={() => onSelectDifficulty(diff)}
-          className={`px-4 py-2 rounded-lg transition-all flex items-center gap-2 ${
-            selectedDifficulty === diff
-              ? `bg-${
-                  diff === "easy"
-                    ? "emerald"
-                    : diff === "medium"
-                    ? "amber"
-                    : "rose"
-                }-600 text-white shadow-lg`
-              : "bg-gray-700 text-gray-300 hover:bg-gray-600"
-          }`}
-        >
-          <span
-            className={`inline-block w-3 h-3 rounded-full ${DIFFICULTY.DOTS[diff]}`}
-          ></span>
-          {DIFFICULTY.LABELS[diff]}
-        </button>
-      ))}
+        {row.words.map((word, column) => (
+          <div key={word.id} role="gridcell" aria-colindex={column + 1}>
+            <WordCard
+              word={word}
+              status={data.statuses[word.id]}
+              rate={data.rate}
+              scheme={data.scheme}
+              gloss={data.gloss}
+              active={word.id === data.activeId}
+              focusActive={data.focusActive}
+              onFocus={data.onFocusWord}
+            />
+          </div>
+        ))}
+      </div>
     </div>
   );
-});
-
-// Optimized search hook
-function useSearch(initialValue = "") {
-  const [value, setValue] = useState(initialValue);
-  const [debouncedValue, setDebouncedValue] = useState(initialValue);
-  const timerRef = useRef(null);
-
-  useEffect(() => {
-    // Clear any existing timeout
-    if (timerRef.current) {
-      clearTimeout(timerRef.current);
-    }
-
-    // Set a new timeout to update the debounced value
-    timerRef.current = setTimeout(() => {
-      setDebouncedValue(value);
-    }, 300);
-
-    // Cleanup on unmount
-    return () => {
-      if (timerRef.current) {
-        clearTimeout(timerRef.current);
-      }
-    };
-  }, [value]);
-
-  return [value, debouncedValue, setValue];
-}
+}, areEqual);
 
 // Optimized Header component
 const Header = memo(
@@ -248,40 +410,152 @@ const Header = memo(
     onSearchChange,
     selectedDifficulty,
     onSelectDifficulty,
+    selectedStatus,
+    onSelectStatus,
+    statusCounts,
+    selectedGroup,
+    onSelectGroup,
+    groupCounts,
+    selectedCategories,
+    categoryCounts,
+    onToggleCategory,
+    onSelectCategories,
+    hasFilters,
+    onClearFilters,
+    strictArabic,
+    onStrictArabicChange,
+    groupBy,
+    onGroupByChange,
+    sortBy,
+    onSortByChange,
+    rate,
+    onRateChange,
+    scheme,
+    onSchemeChange,
+    searchRef,
   }) {
+    const { t } = useTranslation();
+
     return (
       <header className="mb-8 text-center">
         <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold bg-gradient-to-r from-indigo-400 to-purple-500 bg-clip-text text-transparent mb-2">
-          Quranic Vocabulary
+          {t("browse.title")}
         </h1>
         <p className="text-sm md:text-base text-gray-400">
-          Hardest words appear first
+          {t(`sortHint.${sortBy}`)}
         </p>
-        <div className="mt-2 text-base text-gray-300 font-semibold">
-          {filteredWords !== totalWords ? (
-            <>
-              Showing <span className="text-indigo-400">{filteredWords}</span>{" "}
-              of {totalWords} words
-            </>
-          ) : (
-            <>Total words: {totalWords}</>
-          )}
+        <div
+          role="status"
+          aria-live="polite"
+          aria-atomic="true"
+          className="mt-2 text-base text-gray-300 font-semibold"
+        >
+          {filteredWords !== totalWords
+            ? t("browse.showing", { shown: filteredWords, total: totalWords })
+            : t("browse.total", { total: totalWords })}
+        </div>
+        <div className="mt-1 text-sm text-gray-400">
+          {t("browse.progress", { ...statusCounts, total: totalWords })}
         </div>
 
         <DifficultyFilter
           selectedDifficulty={selectedDifficulty}
           onSelectDifficulty={onSelectDifficulty}
         />
+        <StatusFilter
+          selectedStatus={selectedStatus}
+          onSelectStatus={onSelectStatus}
+          counts={statusCounts}
+        />
+        <CategoryGroupFilter
+          selectedGroup={selectedGroup}
+          onSelectGroup={onSelectGroup}
+          counts={groupCounts}
+        />
+
+        <CategoryChips
+          counts={categoryCounts}
+          selectedCategories={selectedCategories}
+          selectedGroup={selectedGroup}
+          onToggleCategory={onToggleCategory}
+          onClearCategories={() => onSelectCategories([])}
+        />
 
         {/* ----- MOBILE-FRIENDLY INPUT ----- */}
         <input
+          ref={searchRef}
           type="text"
-          placeholder="Search category or word..."
+          aria-keyshortcuts="/"
+          placeholder={t("browse.searchPlaceholder")}
           value={search}
           onChange={(e) => onSearchChange(e.target.value)}
           className="mt-4 px-3 py-2 rounded-xl bg-gray-700 text-gray-100 w-full max-w-xs sm:max-w-md md:max-w-lg mx-auto focus:outline-none focus:ring-2 focus:ring-indigo-400"
-          aria-label="Search vocabulary"
+          aria-label={t("browse.searchLabel")}
         />
+        <ArabicKeyboard
+          inputRef={searchRef}
+          value={search}
+          onChange={onSearchChange}
+        />
+        <label className="mt-2 flex items-center justify-center gap-2 text-xs text-gray-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={strictArabic}
+            onChange={(e) => onStrictArabicChange(e.target.checked)}
+            className="accent-indigo-500"
+          />
+          {t("browse.strictArabic")}
+        </label>
+        <p className="mt-2 hidden sm:block text-xs text-gray-500">
+          {t("browse.shortcuts")}
+        </p>
+        {hasFilters && (
+          <button
+            onClick={onClearFilters}
+            className="mt-2 px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600 text-sm text-gray-200"
+          >
+            {t("browse.clearAll")}
+          </button>
+        )}
+        <Link
+          to="/word/new"
+          className="mt-2 inline-block text-sm text-indigo-300 hover:underline"
+        >
+          {t("browse.addWord")}
+        </Link>
+        <div className="mt-3 flex flex-wrap items-center justify-center gap-2 text-sm">
+          <span className="text-gray-400">{t("browse.groupBy")}</span>
+          {Object.values(GROUP_BY).map((value) => (
+            <button
+              key={value}
+              onClick={() => onGroupByChange(value)}
+              aria-pressed={groupBy === value}
+              className={`px-3 py-1 rounded-lg transition-colors ${
+                groupBy === value
+                  ? "bg-indigo-600 text-white"
+                  : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+              }`}
+            >
+              {t(`groupBy.${value}`)}
+            </button>
+          ))}
+          <label className="ms-2 flex items-center gap-2">
+            <span className="text-gray-400">{t("browse.sort")}</span>
+            <select
+              value={sortBy}
+              onChange={(e) => onSortByChange(e.target.value)}
+              className="bg-gray-700 text-gray-200 rounded-lg px-2 py-1"
+            >
+              {Object.values(WORD_SORTS).map((value) => (
+                <option key={value} value={value}>
+                  {t(`sort.${value}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <PlaybackControls rate={rate} onRateChange={onRateChange} />
+        <SchemePicker scheme={scheme} onSchemeChange={onSchemeChange} />
       </header>
     );
   },
@@ -289,26 +563,91 @@ const Header = memo(
     prev.totalWords === next.totalWords &&
     prev.filteredWords === next.filteredWords &&
     prev.search === next.search &&
-    prev.selectedDifficulty === next.selectedDifficulty
+    prev.selectedDifficulty === next.selectedDifficulty &&
+    prev.selectedStatus === next.selectedStatus &&
+    prev.selectedGroup === next.selectedGroup &&
+    prev.groupCounts === next.groupCounts &&
+    prev.selectedCategories === next.selectedCategories &&
+    prev.categoryCounts === next.categoryCounts &&
+    prev.hasFilters === next.hasFilters &&
+    prev.statusCounts === next.statusCounts &&
+    prev.strictArabic === next.strictArabic &&
+    prev.groupBy === next.groupBy &&
+    prev.sortBy === next.sortBy &&
+    prev.rate === next.rate &&
+    prev.scheme === next.scheme
 );
 
 // Main optimized Vocabulary component
-function Vocabulary({ vocabulary }) {
+function Vocabulary({
+  vocabulary,
+  filters,
+  progress,
+  audio,
+  transliteration,
+  gloss,
+  display,
+}) {
+  const { locale, dir, t } = useTranslation();
+
   // Loading state
   const [loading, setLoading] = useState(true);
 
-  // Difficulty filter state
-  const [selectedDifficulty, setSelectedDifficulty] = useState(null);
+  // Shared filter state (owned by App so other pages see the same scope)
+  const {
+    criteria,
+    search,
+    debouncedSearch,
+    setSearch,
+    selectedDifficulty,
+    setSelectedDifficulty,
+    selectedStatus,
+    setSelectedStatus,
+    selectedGroup,
+    setSelectedGroup,
+    selectedCategories,
+    setSelectedCategories,
+    toggleCategory,
+    strictArabic,
+    setStrictArabic,
+    clearFilters,
+  } = filters;
+
+  // Section the grid by category, by (curated or guessed) root or not at
+  // all, and the order inside it; both remembered between visits
+  const { groupBy, setGroupBy, sortBy, setSortBy } = useBrowseSettings();
+
+  // Parent groups folded away in the category view
+  const [collapsedGroups, setCollapsedGroups] = useState(() => new Set());
+  const toggleGroup = useCallback((group) => {
+    setCollapsedGroups((prev) => {
+      const next = new Set(prev);
+      if (next.has(group)) next.delete(group);
+      else next.add(group);
+      return next;
+    });
+  }, []);
+
+  // Learner status per word and totals, derived from reviews and quizzes
+  const { statuses, counts: statusCounts, cards, quizStats } = progress;
 
   // Memoize the vocabulary data structure
   const vocabData = useMemo(() => vocabulary || [], [vocabulary]);
 
-  // Use intersection observer for visibility tracking
-  const [visibleCategories, setVisibleCategories] = useState(new Set());
-  const observerRef = useRef(null);
+  // Normalized search keys, built once per vocabulary
+  const searchIndex = useMemo(() => buildSearchIndex(vocabData), [vocabData]);
 
-  // Enhanced search with debouncing
-  const [search, debouncedSearch, setSearch] = useSearch("");
+  // The one card in the tab order, moved with the arrow keys; focusActive
+  // while the keyboard is moving focus inside the grid
+  const [activeId, setActiveId] = useState(null);
+  const [focusActive, setFocusActive] = useState(false);
+  const searchRef = useRef(null);
+
+  // Card columns and list height follow the window
+  const viewport = useViewportSize();
+  const columns = columnsFor(viewport.width);
+  const listHeight = Math.max(MIN_LIST_HEIGHT, viewport.height);
+  const cardHeight = cardHeightFor(display);
 
   // Simulate loading if necessary (remove if vocabulary is always available)
   useEffect(() => {
@@ -318,56 +657,6 @@ function Vocabulary({ vocabulary }) {
     }
   }, [vocabData]);
 
-  // Setup intersection observer for lazy loading
-  const observerCallback = useCallback(
-    (entries) => {
-      const newVisibleCategories = new Set(visibleCategories);
-      let changed = false;
-
-      for (const entry of entries) {
-        if (entry.isIntersecting) {
-          const category = entry.target.dataset.category;
-          if (!newVisibleCategories.has(category)) {
-            newVisibleCategories.add(category);
-            changed = true;
-          }
-        }
-      }
-
-      if (changed) {
-        setVisibleCategories(newVisibleCategories);
-      }
-    },
-    [visibleCategories]
-  );
-
-  useEffect(() => {
-    if (typeof IntersectionObserver === "undefined") return;
-
-    // Cleanup previous observer
-    if (observerRef.current) {
-      observerRef.current.disconnect();
-    }
-
-    // Create new observer
-    observerRef.current = new IntersectionObserver(observerCallback, {
-      threshold: 0.05,
-      rootMargin: "150px 0px",
-    });
-
-    // Observe all category sections
-    const sections = document.querySelectorAll("[data-category]");
-    sections.forEach((section) => {
-      observerRef.current.observe(section);
-    });
-
-    return () => {
-      if (observerRef.current) {
-        observerRef.current.disconnect();
-      }
-    };
-  }, [observerCallback, debouncedSearch, selectedDifficulty]); // Re-observe when search or difficulty changes
-
   // Group and sort vocabulary (optimized)
   const { groupedVocabulary, categoryList } = useMemo(() => {
     // Use Map for better performance with large datasets
@@ -376,7 +665,7 @@ function Vocabulary({ vocabulary }) {
 
     for (let i = 0; i < vocabData.length; i++) {
       const item = vocabData[i];
-      const cat = item.category;
+      const cat = groupKey(item, groupBy);
 
       if (!grouped.has(cat)) {
         grouped.set(cat, []);
@@ -389,117 +678,363 @@ function Vocabulary({ vocabulary }) {
       );
     }
 
-    // Sort categories by difficulty score
+    // Sort words within each category
+    const compareWords = createWordComparator(sortBy, { cards, quizStats });
+    grouped.forEach((words) => words.sort(compareWords));
+
+    // Difficulty orders rank categories by summed difficulty score, root
+    // families largest first; other orders follow each category's first
+    // word. Rootless words always come last.
+    const byDifficulty =
+      sortBy === WORD_SORTS.HARDEST || sortBy === WORD_SORTS.EASIEST;
+    const direction = sortBy === WORD_SORTS.EASIEST ? -1 : 1;
     const sortedCategories = Array.from(grouped.keys()).sort(
-      (a, b) => scores.get(b) - scores.get(a)
+      (a, b) =>
+        (a === NO_ROOT) - (b === NO_ROOT) ||
+        (byDifficulty
+          ? (groupBy === GROUP_BY.ROOT &&
+              grouped.get(b).length - grouped.get(a).length) ||
+            direction * (scores.get(b) - scores.get(a))
+          : compareWords(grouped.get(a)[0], grouped.get(b)[0]))
     );
 
-    // Sort words within each category
-    sortedCategories.forEach((category) => {
-      grouped
-        .get(category)
-        .sort(
-          (a, b) =>
-            (DIFFICULTY.ORDER[b.difficulty] || 0) -
-            (DIFFICULTY.ORDER[a.difficulty] || 0)
-        );
-    });
-
     return {
       groupedVocabulary: grouped,
       categoryList: sortedCategories,
     };
-  }, [vocabData]);
+  }, [vocabData, groupBy, sortBy, cards, quizStats]);
 
   // Filtered categories and words based on search and difficulty
   const { filteredCategoriesAndWords, totalFilteredWords } = useMemo(() => {
-    // Filter first by difficulty (if selected)
-    const difficultyFilteredData = [];
+    const matchWord = createWordFilter({ ...criteria, statuses }, searchIndex);
+    const searching = Boolean(criteria.search.trim());
+    const result = [];
     let totalWords = 0;
 
     for (const category of categoryList) {
-      const allWords = groupedVocabulary.get(category);
-      const filteredByDifficulty = selectedDifficulty
-        ? allWords.filter((word) => word.difficulty === selectedDifficulty)
-        : allWords;
-
-      if (filteredByDifficulty.length > 0) {
-        difficultyFilteredData.push({
-          category,
-          words: filteredByDifficulty,
-        });
-        totalWords += filteredByDifficulty.length;
+      const scored = [];
+      for (const word of groupedVocabulary.get(category)) {
+        const wordScore = matchWord(word);
+        if (wordScore > 0) scored.push({ word, wordScore });
       }
-    }
 
-    // Then filter by search term
-    if (!debouncedSearch.trim()) {
-      // Show all categories (that match difficulty filter) when no search
-      return {
-        filteredCategoriesAndWords: difficultyFilteredData,
-        totalFilteredWords: totalWords,
-      };
-    }
+      if (scored.length === 0) continue;
 
-    const lower = debouncedSearch.trim().toLowerCase();
-    const result = [];
-    let searchFilteredWords = 0;
+      // Best matches first while searching, hardest first otherwise
+      if (searching) scored.sort((a, b) => b.wordScore - a.wordScore);
 
-    for (const { category, words } of difficultyFilteredData) {
-      // Check if category matches search
-      if (category.toLowerCase().includes(lower)) {
-        // If category matches, include all words from that category
-        result.push({
-          category,
-          words,
-        });
-        searchFilteredWords += words.length;
-      } else {
-        // Otherwise, only include words that match search
-        const filteredWords = words.filter(
-          (word) =>
-            (word.arabic && word.arabic.toLowerCase().includes(lower)) ||
-            (word.bengali && word.bengali.toLowerCase().includes(lower)) ||
-            (word.pronunciation &&
-              word.pronunciation.toLowerCase().includes(lower))
-        );
-
-        if (filteredWords.length > 0) {
-          result.push({
-            category,
-            words: filteredWords,
-          });
-          searchFilteredWords += filteredWords.length;
-        }
-      }
+      result.push({
+        category,
+        words: scored.map(({ word }) => word),
+        rank: scored[0].wordScore,
+      });
+      totalWords += scored.length;
     }
 
+    // Categories holding the best matches come first
+    if (searching) result.sort((a, b) => b.rank - a.rank);
+
     return {
       filteredCategoriesAndWords: result,
-      totalFilteredWords: searchFilteredWords,
+      totalFilteredWords: totalWords,
     };
-  }, [debouncedSearch, categoryList, groupedVocabulary, selectedDifficulty]);
+  }, [criteria, categoryList, groupedVocabulary, statuses, searchIndex]);
+
+  // Subcategory sections bucketed under their parent group, which takes the
+  // place of its first (hardest or best matching) subcategory
+  const groupSections = useMemo(() => {
+    if (groupBy !== GROUP_BY.CATEGORY) return null;
+
+    const byGroup = new Map();
+    for (const section of filteredCategoriesAndWords) {
+      const group = groupOf(section.category);
+      if (!byGroup.has(group)) {
+        byGroup.set(group, { group, sections: [], count: 0 });
+      }
+      const entry = byGroup.get(group);
+      entry.sections.push(section);
+      entry.count += section.words.length;
+    }
+    return Array.from(byGroup.values());
+  }, [groupBy, filteredCategoriesAndWords]);
+
+  // Words per parent group, for the group filter buttons
+  const groupCounts = useMemo(() => countByGroup(vocabData), [vocabData]);
+
+  // Words per category passing every other filter, for the category chips
+  const categoryCounts = useMemo(() => {
+    const matchWord = createWordFilter(
+      { ...criteria, categories: [], statuses },
+      searchIndex
+    );
+    const counts = {};
+    for (const word of vocabData) {
+      if (matchWord(word) === 0) continue;
+      const category = categoryOf(word.category);
+      counts[category] = (counts[category] || 0) + 1;
+    }
+    return counts;
+  }, [vocabData, criteria, statuses, searchIndex]);
+
+  const selectOnlyCategory = useCallback(
+    (category) => setSelectedCategories([category]),
+    [setSelectedCategories]
+  );
+
+  const hasFilters = Boolean(
+    debouncedSearch ||
+      selectedDifficulty ||
+      selectedStatus ||
+      selectedGroup ||
+      selectedCategories.length
+  );
 
   // Total words count
   const totalWords = useMemo(() => vocabulary?.length || 0, [vocabulary]);
 
   // No results message
   const noResultsMessage = useMemo(() => {
-    if (totalFilteredWords === 0 && (debouncedSearch || selectedDifficulty)) {
-      let message = "No words found";
-
-      if (debouncedSearch && selectedDifficulty) {
-        message += ` matching "${debouncedSearch}" with ${DIFFICULTY.LABELS[selectedDifficulty]} difficulty`;
-      } else if (debouncedSearch) {
-        message += ` matching "${debouncedSearch}"`;
-      } else if (selectedDifficulty) {
-        message += ` with ${DIFFICULTY.LABELS[selectedDifficulty]} difficulty`;
+    if (
+      totalFilteredWords === 0 &&
+      (debouncedSearch ||
+        selectedDifficulty ||
+        selectedStatus ||
+        selectedGroup ||
+        selectedCategories.length)
+    ) {
+      // One phrase per active filter, each translated on its own
+      const conditions = [];
+
+      if (debouncedSearch) {
+        conditions.push(t("noResults.search", { search: debouncedSearch }));
+      }
+      if (selectedDifficulty) {
+        conditions.push(
+          t("noResults.difficulty", {
+            difficulty: t(`difficulty.${selectedDifficulty}`),
+          })
+        );
+      }
+      if (selectedStatus) {
+        conditions.push(
+          t("noResults.status", { status: t(`status.${selectedStatus}`) })
+        );
+      }
+      if (selectedGroup) {
+        conditions.push(
+          t("noResults.group", {
+            group: localized(groupLabel(selectedGroup), locale),
+          })
+        );
+      }
+      if (selectedCategories.length) {
+        conditions.push(
+          t("noResults.categories", {
+            categories: selectedCategories
+              .map((category) => localized(categoryLabel(category), locale))
+              .join(t("noResults.or")),
+          })
+        );
       }
 
-      return message;
+      return t("noResults.message", {
+        conditions: conditions.join(t("noResults.and")),
+      });
     }
     return null;
-  }, [totalFilteredWords, debouncedSearch, selectedDifficulty]);
+  }, [
+    t,
+    locale,
+    totalFilteredWords,
+    debouncedSearch,
+    selectedDifficulty,
+    selectedStatus,
+    selectedGroup,
+    selectedCategories,
+  ]);
+
+  // Flat row model for the virtualized list: group headings (category
+  // view only), section headings and card rows of `columns` words
+  const rows = useMemo(() => {
+    const result = [];
+
+    const pushSection = ({ category, words }) => {
+      result.push({
+        type: ROW.SECTION,
+        key: `section-${category}`,
+        category,
+        root: formatRoot(wordRoot(words[0]).root),
+        count: words.length,
+      });
+      for (let i = 0; i < words.length; i += columns) {
+        result.push({
+          type: ROW.CARDS,
+          key: `cards-${category}-${words[i].id}`,
+          words: words.slice(i, i + columns),
+          last: i + columns >= words.length,
+        });
+      }
+    };
+
+    if (!groupSections) {
+      filteredCategoriesAndWords.forEach(pushSection);
+      return result;
+    }
+
+    for (const { group, sections, count } of groupSections) {
+      const collapsed = collapsedGroups.has(group);
+      result.push({
+        type: ROW.GROUP,
+        key: `group-${group}`,
+        group,
+        count,
+        collapsed,
+      });
+      if (!collapsed) sections.forEach(pushSection);
+    }
+    return result;
+  }, [filteredCategoriesAndWords, groupSections, collapsedGroups, columns]);
+
+  // Every visible card in reading order with its place in the grid
+  const cardPositions = useMemo(() => {
+    const order = [];
+    rows.forEach((row, rowIndex) => {
+      if (row.type !== ROW.CARDS) return;
+      row.words.forEach((word, column) =>
+        order.push({ id: word.id, rowIndex, column })
+      );
+    });
+    const byId = new Map(order.map((position, i) => [String(position.id), i]));
+    return { order, byId };
+  }, [rows]);
+
+  // The first card takes the tab stop until another one is focused
+  const currentId = cardPositions.byId.has(String(activeId))
+    ? activeId
+    : cardPositions.order[0]?.id;
+
+  const rowData = useMemo(
+    () => ({
+      rows,
+      columns,
+      cardHeight,
+      activeId: currentId,
+      focusActive,
+      onFocusWord: setActiveId,
+      groupBy,
+      statuses,
+      rate: audio.rate,
+      scheme: transliteration.scheme,
+      gloss: gloss.language,
+      onSelectCategory: selectOnlyCategory,
+      onToggleGroup: toggleGroup,
+      onSelectGroup: setSelectedGroup,
+    }),
+    [
+      rows,
+      columns,
+      cardHeight,
+      currentId,
+      focusActive,
+      groupBy,
+      statuses,
+      audio.rate,
+      transliteration.scheme,
+      gloss.language,
+      selectOnlyCategory,
+      toggleGroup,
+      setSelectedGroup,
+    ]
+  );
+
+  // Keep the row at the top of the list in view when filters, sorting, the
+  // column count or the card height rebuild the rows. When that row is
+  // gone, the list stays at its old scroll offset.
+  const listRef = useRef(null);
+  const anchorRef = useRef(null);
+
+  const handleItemsRendered = useCallback(
+    ({ visibleStartIndex }) => {
+      const row = rows[visibleStartIndex];
+      if (row) anchorRef.current = rowAnchor(row);
+    },
+    [rows]
+  );
+
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    if (!list) return;
+    list.resetAfterIndex(0);
+    const index = anchorRef.current
+      ? rows.findIndex((row) => hasAnchor(row, anchorRef.current))
+      : -1;
+    if (index >= 0) list.scrollToItem(index, "start");
+  }, [rows, cardHeight]);
+
+  // Arrow keys move across cards (mirrored in right-to-left layouts),
+  // Home/End to the ends of the row or, with Ctrl, of the grid; Enter
+  // follows the focused card's link
+  const handleGridKeyDown = useCallback(
+    (e) => {
+      const { order, byId } = cardPositions;
+      const index = byId.get(e.target.dataset?.wordId);
+      if (index === undefined || e.altKey || e.metaKey) return;
+      const { rowIndex, column } = order[index];
+      const step = dir === "rtl" ? -1 : 1;
+
+      // Nearest card row above or below, same column or its last card
+      const nextRowCard = (by) => {
+        for (let i = rowIndex + by; i >= 0 && i < rows.length; i += by) {
+          const { type, words } = rows[i];
+          if (type === ROW.CARDS) {
+            return words[Math.min(column, words.length - 1)].id;
+          }
+        }
+      };
+
+      let target;
+      if (e.key === "ArrowRight") target = order[index + step]?.id;
+      else if (e.key === "ArrowLeft") target = order[index - step]?.id;
+      else if (e.key === "ArrowDown") target = nextRowCard(1);
+      else if (e.key === "ArrowUp") target = nextRowCard(-1);
+      else if (e.key === "Home") {
+        target = e.ctrlKey ? order[0].id : rows[rowIndex].words[0].id;
+      } else if (e.key === "End") {
+        target = e.ctrlKey
+          ? order[order.length - 1].id
+          : rows[rowIndex].words.at(-1).id;
+      } else return;
+
+      e.preventDefault();
+      if (target === undefined) return;
+      setActiveId(target);
+      setFocusActive(true);
+      listRef.current?.scrollToItem(order[byId.get(String(target))].rowIndex);
+    },
+    [cardPositions, rows, dir]
+  );
+
+  // Stop pulling focus back once it leaves the grid
+  const handleGridBlur = useCallback((e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setFocusActive(false);
+  }, []);
+
+  // "/" jumps to the search box, 0–3 pick a difficulty, anywhere on the
+  // page but inside a text field
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isEditable(e.target)) return;
+      if (e.key === "/") {
+        e.preventDefault();
+        searchRef.current?.focus();
+      } else if (Object.hasOwn(DIFFICULTY_KEYS, e.key)) {
+        e.preventDefault();
+        setSelectedDifficulty(DIFFICULTY_KEYS[e.key]);
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [setSelectedDifficulty]);
 
   return (
     <ErrorBoundary FallbackComponent={ErrorFallback}>
@@ -523,39 +1058,65 @@ function Vocabulary({ vocabulary }) {
           onSearchChange={setSearch}
           selectedDifficulty={selectedDifficulty}
           onSelectDifficulty={setSelectedDifficulty}
+          selectedStatus={selectedStatus}
+          onSelectStatus={setSelectedStatus}
+          statusCounts={statusCounts}
+          selectedGroup={selectedGroup}
+          onSelectGroup={setSelectedGroup}
+          groupCounts={groupCounts}
+          selectedCategories={selectedCategories}
+          categoryCounts={categoryCounts}
+          onToggleCategory={toggleCategory}
+          onSelectCategories={setSelectedCategories}
+          hasFilters={hasFilters}
+          onClearFilters={clearFilters}
+          strictArabic={strictArabic}
+          onStrictArabicChange={setStrictArabic}
+          groupBy={groupBy}
+          onGroupByChange={setGroupBy}
+          sortBy={sortBy}
+          onSortByChange={setSortBy}
+          rate={audio.rate}
+          onRateChange={audio.setRate}
+          scheme={transliteration.scheme}
+          onSchemeChange={transliteration.setScheme}
+          searchRef={searchRef}
         />
 
         {loading ? (
           <LoadingSkeleton />
+        ) : filteredCategoriesAndWords.length === 0 ? (
+          <div className="text-center py-12 bg-gray-800/50 backdrop-blur-sm rounded-xl border border-gray-700">
+            <p className="text-gray-300 text-lg">{noResultsMessage}</p>
+            <button
+              onClick={clearFilters}
+              className="mt-4 px-4 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-lg text-white transition-colors"
+            >
+              {t("noResults.clear")}
+            </button>
+          </div>
         ) : (
-          <div className="space-y-10 md:space-y-12">
-            {filteredCategoriesAndWords.length > 0 ? (
-              filteredCategoriesAndWords.map(({ category, words }) => (
-                <CategorySection
-                  key={`category-${category}`}
-                  category={category}
-                  words={words}
-                  // Show all if observer hasn't registered anything yet:
-                  isVisible={
-                    visibleCategories.size === 0 ||
-                    visibleCategories.has(category)
-                  }
-                />
-              ))
-            ) : (
-              <div className="text-center py-12 bg-gray-800/50 backdrop-blur-sm rounded-xl border border-gray-700">
-                <p className="text-gray-300 text-lg">{noResultsMessage}</p>
-                <button
-                  onClick={() => {
-                    setSearch("");
-                    setSelectedDifficulty(null);
-                  }}
-                  className="mt-4 px-4 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-lg text-white transition-colors"
-                >
-                  Clear filters
-                </button>
-              </div>
-            )}
+          <div
+            role="grid"
+            aria-label={t("browse.gridLabel")}
+            aria-rowcount={rows.length}
+            aria-colcount={columns}
+            onKeyDown={handleGridKeyDown}
+            onBlur={handleGridBlur}
+          >
+            <VariableSizeList
+              ref={listRef}
+              height={listHeight}
+              width="100%"
+              itemCount={rows.length}
+              itemSize={(index) => rowHeight(rows[index], cardHeight)}
+              itemKey={(index) => rows[index].key}
+              itemData={rowData}
+              onItemsRendered={handleItemsRendered}
+              overscanCount={4}
+            >
+              {GridRow}
+            </VariableSizeList>
           </div>
         )}
       </div>
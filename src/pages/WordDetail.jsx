@@ -0,0 +1,298 @@
+import { memo, useMemo } from "react";
+import { Link, useLocation, useNavigate, useParams } from "react-router";
+import { ErrorBoundary } from "react-error-boundary";
+import { DIFFICULTY } from "../constants/difficulty";
+import { STATUS } from "../constants/status";
+import { GLOSS } from "../constants/glosses";
+import ErrorFallback from "../components/ErrorFallback";
+import PlayButton from "../components/PlayButton";
+import Pronunciation from "../components/Pronunciation";
+import Gloss from "../components/Gloss";
+import { formatRoot, wordRoot } from "../utils/roots";
+import { findRelatedWords } from "../utils/related";
+import { categoryLabel, categoryOf } from "../utils/categories";
+import { glossOf, glossesOf } from "../utils/glosses";
+import { localized } from "../utils/i18n";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Ayah references ("2:255") open on quran.com
+const ayahUrl = (reference) =>
+  `https://quran.com/${reference.replace(":", "/")}`;
+
+// Label key/value rows for the optional morphology fields. Without a
+// curated root the extracted one is shown, marked as a guess.
+const MORPHOLOGY_FIELDS = [
+  {
+    key: "root",
+    label: (word) =>
+      wordRoot(word).guessed ? "word.rootGuessed" : "word.root",
+    value: (word) => formatRoot(wordRoot(word).root),
+  },
+  { key: "pattern", label: "word.pattern" },
+  { key: "plural", label: "word.plural" },
+  { key: "feminine", label: "word.feminine" },
+];
+
+const fieldValue = (field, word) =>
+  field.value ? field.value(word) : word[field.key];
+const fieldLabel = (field, word) =>
+  typeof field.label === "function" ? field.label(word) : field.label;
+
+// Chips linking to other word pages
+const RelatedWords = memo(function RelatedWords({ title, words, gloss }) {
+  if (words.length === 0) return null;
+
+  return (
+    <section className="bg-gray-800/50 rounded-xl p-4 border border-gray-700">
+      <h2 className="text-lg font-semibold mb-3">{title}</h2>
+      <div className="flex flex-wrap gap-2">
+        {words.map((word) => (
+          <Link
+            key={word.id}
+            to={`/word/${word.id}`}
+            className="px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600 flex items-baseline gap-2"
+          >
+            <span
+              lang="ar"
+              dir="rtl"
+              className="font-quran text-lg text-indigo-300"
+            >
+              {word.arabic}
+            </span>
+            <Gloss
+              entry={word}
+              language={gloss}
+              className="text-sm text-gray-300"
+            />
+          </Link>
+        ))}
+      </div>
+    </section>
+  );
+});
+
+// Single word page at /word/:id
+function WordDetail({ vocabulary, progress, audio, transliteration, gloss }) {
+  const { locale, t } = useTranslation();
+  const { id } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const word = useMemo(
+    () => (vocabulary || []).find((item) => item.id === id),
+    [vocabulary, id]
+  );
+  const related = useMemo(
+    () => (word ? findRelatedWords(word, vocabulary) : null),
+    [word, vocabulary]
+  );
+
+  // Opened from inside the app: go back to the filtered grid it came from
+  const goBack = (e) => {
+    if (location.key !== "default") {
+      e.preventDefault();
+      navigate(-1);
+    }
+  };
+
+  // Meanings in the other gloss languages, under the chosen one
+  const otherGlosses = word
+    ? glossesOf(word).filter(
+        ({ language }) => language !== glossOf(word, gloss.language).language
+      )
+    : [];
+
+  const morphology = word
+    ? MORPHOLOGY_FIELDS.filter((field) => fieldValue(field, word))
+    : [];
+
+  return (
+    <ErrorBoundary FallbackComponent={ErrorFallback}>
+      <div className="w-full min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 text-gray-100 p-2 sm:p-4 md:p-6 overflow-x-hidden">
+        <div className="max-w-2xl mx-auto space-y-4">
+          <div className="flex justify-between">
+            <Link
+              to="/"
+              onClick={goBack}
+              className="text-sm text-indigo-300 hover:underline"
+            >
+              {t("word.back")}
+            </Link>
+            {word && (
+              <Link
+                to={`/word/${word.id}/edit`}
+                className="text-sm text-indigo-300 hover:underline"
+              >
+                {t("word.edit")}
+              </Link>
+            )}
+          </div>
+
+          {word ? (
+            <>
+              <article
+                className={`rounded-xl border-l-4 ${
+                  DIFFICULTY.COLORS[word.difficulty] || "border-gray-500"
+                } bg-gray-800/80 p-6 text-center`}
+              >
+                <div
+                  lang="ar"
+                  dir="rtl"
+                  className="text-5xl md:text-6xl font-quran text-indigo-300 mb-4"
+                >
+                  {word.arabic}
+                </div>
+                <PlayButton
+                  word={word}
+                  rate={audio.rate}
+                  className="w-10 h-10 mx-auto mb-4"
+                />
+                <Gloss
+                  entry={word}
+                  language={gloss.language}
+                  className="block text-2xl text-gray-200"
+                />
+                {otherGlosses.map(({ language, text }) => (
+                  <div key={language} className="text-sm text-gray-400">
+                    {t(`gloss.${language}`)}:{" "}
+                    <span
+                      lang={GLOSS.LANG[language]}
+                      dir={GLOSS.DIR[language]}
+                      className={GLOSS.FONTS[language]}
+                    >
+                      {text}
+                    </span>
+                  </div>
+                ))}
+                <Pronunciation
+                  word={word}
+                  scheme={transliteration.scheme}
+                  className="text-sm text-gray-500 mt-1"
+                />
+                <div className="mt-6 flex flex-wrap justify-center gap-2 text-sm">
+                  <Link
+                    to={`/?category=${encodeURIComponent(
+                      categoryOf(word.category)
+                    )}`}
+                    className="px-3 py-1 rounded-full bg-gray-700 hover:bg-gray-600"
+                  >
+                    {localized(categoryLabel(word.category), locale)}
+                  </Link>
+                  <span className="px-3 py-1 rounded-full bg-gray-700 flex items-center gap-2">
+                    <span
+                      className={`inline-block w-2.5 h-2.5 rounded-full ${
+                        DIFFICULTY.DOTS[word.difficulty]
+                      }`}
+                    />
+                    {t(`difficulty.${word.difficulty}`)}
+                  </span>
+                  <span
+                    className={`px-3 py-1 rounded-full ${
+                      STATUS.BADGES[progress.statuses[word.id]]
+                    }`}
+                  >
+                    {t(`status.${progress.statuses[word.id]}`)}
+                  </span>
+                </div>
+              </article>
+
+              {morphology.length > 0 && (
+                <section className="bg-gray-800/50 rounded-xl p-4 border border-gray-700">
+                  <h2 className="text-lg font-semibold mb-3">
+                    {t("word.morphology")}
+                  </h2>
+                  <dl className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-center">
+                    {morphology.map((field) => (
+                      <div
+                        key={field.key}
+                        className="bg-gray-700/50 rounded-lg p-2"
+                      >
+                        <dt className="text-xs text-gray-400">
+                          {t(fieldLabel(field, word))}
+                        </dt>
+                        <dd
+                          lang="ar"
+                          dir="rtl"
+                          className="text-2xl font-quran text-indigo-200"
+                        >
+                          {fieldValue(field, word)}
+                        </dd>
+                      </div>
+                    ))}
+                  </dl>
+                </section>
+              )}
+
+              {word.examples && (
+                <section className="bg-gray-800/50 rounded-xl p-4 border border-gray-700">
+                  <h2 className="text-lg font-semibold mb-3">
+                    {t("word.examples")}
+                  </h2>
+                  <ul className="space-y-4">
+                    {word.examples.map((example, i) => (
+                      <li key={i}>
+                        <p
+                          lang="ar"
+                          dir="rtl"
+                          className="text-2xl font-quran text-indigo-200 leading-loose"
+                        >
+                          {example.arabic}
+                        </p>
+                        <Gloss
+                          entry={example}
+                          language={gloss.language}
+                          className="block text-gray-300"
+                        />
+                        {example.reference && (
+                          <a
+                            href={ayahUrl(example.reference)}
+                            target="_blank"
+                            rel="noreferrer"
+                            className="text-xs text-indigo-300 hover:underline"
+                          >
+                            {t("word.reference", {
+                              reference: example.reference,
+                            })}
+                          </a>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              )}
+
+              {word.notes && (
+                <section className="bg-gray-800/50 rounded-xl p-4 border border-gray-700 text-gray-300">
+                  {word.notes}
+                </section>
+              )}
+
+              <RelatedWords
+                title={t("word.sameRoot", {
+                  root: formatRoot(wordRoot(word).root),
+                })}
+                words={related.sameRoot}
+                gloss={gloss.language}
+              />
+              <RelatedWords
+                title={t("word.sameCategory", {
+                  category: localized(categoryLabel(word.category), locale),
+                })}
+                words={related.sameCategory}
+                gloss={gloss.language}
+              />
+            </>
+          ) : (
+            <div className="text-center py-12 bg-gray-800/50 rounded-xl border border-gray-700">
+              <p className="text-gray-300 text-lg">
+                {t("word.notFound", { id })}
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+}
+
+export default memo(WordDetail);
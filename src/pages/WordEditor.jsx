@@ -0,0 +1,317 @@
+import { useState, useMemo, memo } from "react";
+import { Link, useLocation, useNavigate, useParams } from "react-router";
+import { ErrorBoundary } from "react-error-boundary";
+import { DIFFICULTY } from "../constants/difficulty";
+import { GLOSS } from "../constants/glosses";
+import { DIFFICULTIES } from "../data/schema";
+import { validateWord } from "../data/loader";
+import ErrorFallback from "../components/ErrorFallback";
+import { findDuplicates, nextWordId } from "../utils/library";
+import { transliterate } from "../utils/transliterate";
+import { categoryLabel } from "../utils/categories";
+import { localized } from "../utils/i18n";
+import { useTranslation } from "../hooks/useTranslation";
+
+// Editable text fields with their label keys; `examples` and `audio` are
+// kept as they are
+const TEXT_FIELDS = [
+  { key: "arabic", label: "editor.arabic", arabic: true },
+  { key: "bengali", label: "editor.bengali", gloss: true },
+  { key: "english", label: "editor.english", gloss: true },
+  { key: "urdu", label: "editor.urdu", gloss: true },
+  { key: "pronunciation", label: "editor.pronunciation" },
+  { key: "root", label: "word.root", arabic: true, placeholder: "ك-ت-ب" },
+  { key: "pattern", label: "word.pattern", arabic: true },
+  { key: "plural", label: "word.plural", arabic: true },
+  { key: "feminine", label: "word.feminine", arabic: true },
+];
+
+const EMPTY_WORD = Object.freeze({ difficulty: "easy" });
+
+const inputClass =
+  "w-full px-3 py-2 rounded-lg bg-gray-700 text-gray-100 focus:outline-none focus:ring-2 focus:ring-indigo-400";
+
+// validateWord problems as messages keyed by the field they are about
+function errorsByField(errors, t) {
+  const result = {};
+  for (const { field, key, params } of errors) {
+    result[field ?? "form"] = t(key, params);
+  }
+  return result;
+}
+
+// Difficulty buttons labelled like the browse filter
+const DifficultyPicker = memo(function DifficultyPicker({ value, onChange }) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="flex gap-2">
+      {DIFFICULTIES.map((difficulty) => (
+        <button
+          key={difficulty}
+          type="button"
+          onClick={() => onChange(difficulty)}
+          aria-pressed={value === difficulty}
+          className={`px-4 py-2 rounded-lg transition-all flex items-center gap-2 ${
+            value === difficulty
+              ? "bg-indigo-600 text-white shadow-lg"
+              : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+          }`}
+        >
+          <span
+            className={`inline-block w-3 h-3 rounded-full ${DIFFICULTY.DOTS[difficulty]}`}
+          />
+          {t(`difficulty.${difficulty}`)}
+        </button>
+      ))}
+    </div>
+  );
+});
+
+// The form, keyed by word so switching words resets the draft
+const WordForm = memo(function WordForm({ word, vocabulary, library }) {
+  const { locale, t } = useTranslation();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const isNew = !word;
+
+  const [draft, setDraft] = useState(() => ({ ...(word ?? EMPTY_WORD) }));
+  const [submitted, setSubmitted] = useState(false);
+  const [allowDuplicate, setAllowDuplicate] = useState(false);
+
+  const update = (key, value) =>
+    setDraft((prev) => ({ ...prev, [key]: value }));
+
+  // Categories in use, most common first
+  const categories = useMemo(() => {
+    const counts = new Map();
+    for (const item of vocabulary) {
+      counts.set(item.category, (counts.get(item.category) || 0) + 1);
+    }
+    return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+  }, [vocabulary]);
+
+  const id = word?.id ?? nextWordId(vocabulary, library.lastIssued);
+
+  // Blank fields are left out so optional ones validate as absent
+  const raw = useMemo(() => {
+    const record = { id };
+    for (const [key, value] of Object.entries(draft)) {
+      if (key === "id") continue;
+      if (typeof value !== "string" || value.trim()) record[key] = value;
+    }
+    return record;
+  }, [draft, id]);
+
+  const { word: valid, errors } = useMemo(() => validateWord(raw), [raw]);
+  const fieldErrors = submitted ? errorsByField(errors, t) : {};
+
+  const duplicates = useMemo(
+    () => findDuplicates(draft.arabic, vocabulary, id),
+    [draft.arabic, vocabulary, id]
+  );
+  const blockedByDuplicate = duplicates.length > 0 && !allowDuplicate;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (!valid || blockedByDuplicate) return;
+
+    library.saveWord(valid);
+    // Back to the word page the edit started from, or on to the new word
+    if (!isNew && location.key !== "default") navigate(-1);
+    else navigate(`/word/${valid.id}`, { replace: true });
+  };
+
+  const handleDelete = () => {
+    if (
+      window.confirm(
+        t("editor.confirmDelete", {
+          arabic: word.arabic,
+          meaning: word.bengali,
+        })
+      )
+    ) {
+      library.deleteWord(word.id);
+      navigate("/", { replace: true });
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      noValidate
+      className="bg-gray-800/50 rounded-xl p-4 border border-gray-700 space-y-4"
+    >
+      {TEXT_FIELDS.map(({ key, label, arabic, gloss, placeholder }) => (
+        <label key={key} className="block">
+          <span className="text-sm text-gray-400">{t(label)}</span>
+          <input
+            type="text"
+            value={draft[key] ?? ""}
+            onChange={(e) => update(key, e.target.value)}
+            lang={arabic ? "ar" : gloss ? GLOSS.LANG[key] : undefined}
+            dir={arabic ? "rtl" : gloss ? GLOSS.DIR[key] : undefined}
+            placeholder={
+              key === "pronunciation"
+                ? transliterate(draft.arabic) || t("editor.generated")
+                : placeholder
+            }
+            className={`${inputClass} ${
+              arabic ? "font-quran text-2xl" : gloss ? GLOSS.FONTS[key] : ""
+            }`}
+          />
+          {fieldErrors[key] && (
+            <span className="text-sm text-rose-300">{fieldErrors[key]}</span>
+          )}
+        </label>
+      ))}
+
+      {duplicates.length > 0 && (
+        <div className="rounded-lg border border-amber-600 bg-amber-950/40 p-3 text-sm">
+          <p className="text-amber-200">
+            {t("editor.duplicates")}{" "}
+            {duplicates.map((other, i) => (
+              <span key={other.id}>
+                {i > 0 && ", "}
+                <Link
+                  to={`/word/${other.id}`}
+                  lang="ar"
+                  dir="rtl"
+                  className="font-quran text-lg text-indigo-300 hover:underline"
+                >
+                  {other.arabic}
+                </Link>{" "}
+                ({other.bengali})
+              </span>
+            ))}
+          </p>
+          <label className="mt-2 flex items-center gap-2 text-gray-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={allowDuplicate}
+              onChange={(e) => setAllowDuplicate(e.target.checked)}
+              className="accent-indigo-500"
+            />
+            {t("editor.allowDuplicate")}
+          </label>
+        </div>
+      )}
+
+      <label className="block">
+        <span className="text-sm text-gray-400">{t("editor.category")}</span>
+        <input
+          type="text"
+          list="word-categories"
+          value={draft.category ?? ""}
+          onChange={(e) => update("category", e.target.value)}
+          className={inputClass}
+        />
+        <datalist id="word-categories">
+          {categories.map((category) => (
+            <option
+              key={category}
+              value={category}
+              label={localized(categoryLabel(category), locale)}
+            />
+          ))}
+        </datalist>
+        {fieldErrors.category && (
+          <span className="text-sm text-rose-300">{fieldErrors.category}</span>
+        )}
+      </label>
+
+      <div>
+        <span className="block text-sm text-gray-400 mb-1">
+          {t("editor.difficulty")}
+        </span>
+        <DifficultyPicker
+          value={draft.difficulty}
+          onChange={(value) => update("difficulty", value)}
+        />
+      </div>
+
+      <label className="block">
+        <span className="text-sm text-gray-400">{t("editor.notes")}</span>
+        <textarea
+          value={draft.notes ?? ""}
+          onChange={(e) => update("notes", e.target.value)}
+          rows={3}
+          className={inputClass}
+        />
+      </label>
+
+      {fieldErrors.form && (
+        <p className="text-sm text-rose-300">{fieldErrors.form}</p>
+      )}
+
+      <div className="flex flex-wrap gap-2 pt-2">
+        <button
+          type="submit"
+          disabled={submitted && (!valid || blockedByDuplicate)}
+          className="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-lg text-white transition-colors disabled:opacity-50"
+        >
+          {t(isNew ? "editor.add" : "editor.save")}
+        </button>
+        <button
+          type="button"
+          onClick={() => navigate(-1)}
+          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-gray-300 transition-colors"
+        >
+          {t("editor.cancel")}
+        </button>
+        {!isNew && (
+          <button
+            type="button"
+            onClick={handleDelete}
+            className="ms-auto px-4 py-2 bg-rose-700 hover:bg-rose-600 rounded-lg text-white transition-colors"
+          >
+            {t("editor.delete")}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+});
+
+// Add (/word/new) or edit (/word/:id/edit) a word
+function WordEditor({ vocabulary, library }) {
+  const { t } = useTranslation();
+  const { id } = useParams();
+  const word = useMemo(
+    () => (id ? (vocabulary || []).find((item) => item.id === id) : null),
+    [vocabulary, id]
+  );
+
+  return (
+    <ErrorBoundary FallbackComponent={ErrorFallback}>
+      <div className="w-full min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 text-gray-100 p-2 sm:p-4 md:p-6 overflow-x-hidden">
+        <header className="mb-8 text-center">
+          <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold bg-gradient-to-r from-indigo-400 to-purple-500 bg-clip-text text-transparent mb-2">
+            {t(id ? "editor.editTitle" : "editor.addTitle")}
+          </h1>
+          <p className="text-sm text-gray-400">{t("editor.hint")}</p>
+        </header>
+
+        <div className="max-w-2xl mx-auto">
+          {id && !word ? (
+            <div className="text-center py-12 bg-gray-800/50 rounded-xl border border-gray-700">
+              <p className="text-gray-300 text-lg">
+                {t("word.notFound", { id })}
+              </p>
+            </div>
+          ) : (
+            <WordForm
+              key={id ?? "new"}
+              word={word}
+              vocabulary={vocabulary || []}
+              library={library}
+            />
+          )}
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+}
+
+export default memo(WordEditor);
@@ -0,0 +1,75 @@
+// Service worker: precaches the app shell, bundle, fonts, logo and the
+// vocabulary (bundled into the scripts), so the app works fully offline.
+// __PRECACHE__ and __VERSION__ are filled in at build time by
+// scripts/service-worker-plugin.js; the version changes with any asset,
+// including a new vocabulary.
+const PRECACHE_URLS = __PRECACHE__;
+const VERSION = __VERSION__;
+
+const CACHE_PREFIX = "learn-arabic-";
+const PRECACHE = `${CACHE_PREFIX}precache-${VERSION}`;
+// Same-origin files outside the build, e.g. pronunciation clips
+const RUNTIME = `${CACHE_PREFIX}runtime`;
+
+const APP_SHELL = "/index.html";
+
+// The new version waits until the page asks it to take over, so a study
+// session is never swapped out from under the learner
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE).then((cache) => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) =>
+                key.startsWith(CACHE_PREFIX) &&
+                key !== PRECACHE &&
+                key !== RUNTIME
+            )
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+// Serve the cached copy or fetch it and keep it for next time
+async function fromRuntimeCache(request) {
+  const cache = await caches.open(RUNTIME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  // Every route is rendered by the app shell
+  if (request.mode === "navigate") {
+    event.respondWith(
+      caches.match(APP_SHELL).then((cached) => cached ?? fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then((cached) => cached ?? fromRuntimeCache(request))
+  );
+});
@@ -0,0 +1,39 @@
+// Arabic text normalization for search and comparison.
+// Learners rarely type harakat, and hamza/alif spellings vary, so both the
+// query and the indexed words are folded to a bare, unified skeleton.
+
+// Harakat, tanween, shadda, sukun, dagger alif and Quranic annotation marks
+const TASHKEEL =
+  /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06DC\u06DF-\u06E4\u06E7\u06E8\u06EA-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+
+// Letter variants folded onto a single form
+const LETTER_MAP = Object.freeze({
+  "آ": "ا", // آ → ا
+  "أ": "ا", // أ → ا
+  "إ": "ا", // إ → ا
+  "ٱ": "ا", // ٱ → ا
+  "ؤ": "و", // ؤ → و
+  "ئ": "ي", // ئ → ي
+  "ى": "ي", // ى → ي
+  "ی": "ي", // ی → ي
+  "ة": "ه", // ة → ه
+  "ک": "ك", // ک → ك
+});
+const LETTER_PATTERN = new RegExp(`[${Object.keys(LETTER_MAP).join("")}]`, "g");
+
+const ARABIC_LETTER = /[\u0600-\u06FF]/;
+
+export const hasArabic = (text) => ARABIC_LETTER.test(text);
+
+export const stripTashkeel = (text) =>
+  text.replace(TASHKEEL, "").replace(TATWEEL, "");
+
+// Fold an Arabic string to its diacritic-free, spelling-unified skeleton
+export function normalizeArabic(text) {
+  if (!text) return "";
+  return stripTashkeel(text.normalize("NFC"))
+    .replace(LETTER_PATTERN, (ch) => LETTER_MAP[ch])
+    .replace(/\s+/g, " ")
+    .trim();
+}
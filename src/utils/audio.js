@@ -0,0 +1,92 @@
+// Word pronunciation playback.
+// A recorded clip named by the word's `audio` field (a file in
+// public/audio/) is preferred; otherwise the browser's Arabic speech
+// synthesis voice reads the word. Only one word plays at a time.
+
+export const PLAYBACK_RATES = Object.freeze([0.5, 0.75, 1, 1.25]);
+
+const AUDIO_DIR = `${import.meta.env?.BASE_URL ?? "/"}audio/`;
+const SPEECH_LANG = "ar-SA";
+
+let current = null;
+
+export const hasSpeechSynthesis = () =>
+  typeof window !== "undefined" && "speechSynthesis" in window;
+
+export const canPlay = (word) => Boolean(word.audio) || hasSpeechSynthesis();
+
+export const audioUrl = (word) =>
+  word.audio ? AUDIO_DIR + encodeURIComponent(word.audio) : null;
+
+// Prefer an installed Arabic voice; getVoices() may still be empty while
+// the browser loads them, in which case `lang` alone picks one
+function arabicVoice() {
+  const voices = window.speechSynthesis.getVoices();
+  return (
+    voices.find((voice) => voice.lang === SPEECH_LANG) ||
+    voices.find((voice) => voice.lang.toLowerCase().startsWith("ar")) ||
+    null
+  );
+}
+
+function speak(text, rate) {
+  return new Promise((resolve, reject) => {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = SPEECH_LANG;
+    utterance.voice = arabicVoice();
+    utterance.rate = rate;
+    utterance.onend = () => resolve();
+    utterance.onerror = (event) =>
+      // Cancelled by the next playWord/stopPlayback, not a failure
+      event.error === "interrupted" || event.error === "canceled"
+        ? resolve()
+        : reject(new Error(`Speech synthesis failed: ${event.error}`));
+
+    window.speechSynthesis.speak(utterance);
+    current = { stop: () => window.speechSynthesis.cancel() };
+  });
+}
+
+function playClip(url, rate) {
+  return new Promise((resolve, reject) => {
+    const clip = new Audio(url);
+    clip.playbackRate = rate;
+    clip.onended = () => resolve();
+    clip.onerror = () => reject(new Error(`Could not load ${url}`));
+
+    current = {
+      stop: () => {
+        clip.pause();
+        resolve();
+      },
+    };
+    clip.play().catch(reject);
+  });
+}
+
+export function stopPlayback() {
+  if (current) {
+    current.stop();
+    current = null;
+  }
+}
+
+// Play a word, resolving when it finishes (or is stopped). A clip that
+// fails to load falls back to speech synthesis.
+export async function playWord(word, { rate = 1 } = {}) {
+  stopPlayback();
+
+  const url = audioUrl(word);
+  if (url) {
+    try {
+      return await playClip(url, rate);
+    } catch (error) {
+      if (!hasSpeechSynthesis()) throw error;
+    }
+  }
+
+  if (!hasSpeechSynthesis()) {
+    throw new Error("No recorded clip and no speech synthesis available");
+  }
+  return speak(word.arabic, rate);
+}
@@ -0,0 +1,92 @@
+import { CATEGORY } from "../constants/categories.js";
+
+// Subcategory key → { group, en, bn }, built once from the taxonomy
+const SUBCATEGORIES = new Map();
+for (const [group, { categories }] of Object.entries(CATEGORY.GROUPS)) {
+  for (const [key, label] of Object.entries(categories)) {
+    SUBCATEGORIES.set(key, { group, ...label });
+  }
+}
+
+export const CATEGORY_GROUP_ORDER = Object.freeze([
+  ...Object.keys(CATEGORY.GROUPS),
+  CATEGORY.OTHER,
+]);
+
+// "question_word" → "Question word", for categories without a label
+const humanize = (key) => {
+  const text = key.replace(/[_/]+/g, " ").trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+// The subcategory a raw data category is shown under
+export const categoryOf = (category) => CATEGORY.MERGED[category] ?? category;
+
+// The parent group of a raw data category
+export const groupOf = (category) =>
+  SUBCATEGORIES.get(categoryOf(category))?.group ?? CATEGORY.OTHER;
+
+// { en, bn } labels of a (sub)category key
+export function categoryLabel(category) {
+  const entry = SUBCATEGORIES.get(categoryOf(category));
+  return entry
+    ? { en: entry.en, bn: entry.bn }
+    : { en: humanize(category), bn: "" };
+}
+
+// { en, bn } labels of a parent group key
+export const groupLabel = (group) =>
+  CATEGORY.GROUPS[group] ?? CATEGORY.OTHER_LABEL;
+
+// Subcategory keys in taxonomy order; ones outside it go last, by name
+export function sortCategories(categories) {
+  const rank = (category) => {
+    const entry = SUBCATEGORIES.get(category);
+    if (!entry) return [CATEGORY_GROUP_ORDER.length, 0];
+    return [
+      CATEGORY_GROUP_ORDER.indexOf(entry.group),
+      Object.keys(CATEGORY.GROUPS[entry.group].categories).indexOf(category),
+    ];
+  };
+  return [...categories].sort((a, b) => {
+    const [groupA, indexA] = rank(a);
+    const [groupB, indexB] = rank(b);
+    return groupA - groupB || indexA - indexB || a.localeCompare(b);
+  });
+}
+
+// Words per parent group
+export function countByGroup(words) {
+  const counts = {};
+  for (const word of words) {
+    const group = groupOf(word.category);
+    counts[group] = (counts[group] || 0) + 1;
+  }
+  return counts;
+}
+
+// Everything a search for a topic may type: raw key and both labels of the
+// subcategory and its group, as words each preceded by a space so a query
+// can be matched at word starts only
+const searchTexts = new Map();
+const WORD_SEPARATORS = /[\s_&,/()-]+/g;
+
+export function categorySearchText(category) {
+  if (!searchTexts.has(category)) {
+    const { en, bn } = categoryLabel(category);
+    const group = groupLabel(groupOf(category));
+    const text = [category, en, bn, group.en, group.bn]
+      .join(" ")
+      .toLowerCase()
+      .replace(WORD_SEPARATORS, " ");
+    searchTexts.set(category, ` ${text.trim()}`);
+  }
+  return searchTexts.get(category);
+}
+
+// A query naming the category by whole words or word prefixes ("anim",
+// "body part"), never by a fragment inside a word
+export const matchesCategory = (category, query) =>
+  categorySearchText(category).includes(
+    ` ${query.toLowerCase().replace(WORD_SEPARATORS, " ").trim()}`
+  );
@@ -0,0 +1,81 @@
+// Minimal RFC 4180 reader/writer for comma, semicolon or tab separated
+// text: quoted fields, doubled quotes and line breaks inside quotes.
+
+const BOM = "\uFEFF";
+
+// Pick the separator that splits the header line into the most columns
+export function detectDelimiter(text) {
+  const header = text.replace(BOM, "").split(/\r?\n/, 1)[0];
+  const counts = ["\t", ",", ";"].map((delimiter) => ({
+    delimiter,
+    count: header.split(delimiter).length,
+  }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 1 ? counts[0].delimiter : ",";
+}
+
+// Rows of string cells; blank lines are skipped
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.startsWith(BOM) ? text.slice(1) : text;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some((value) => value.trim() !== "")) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      endCell();
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) endRow();
+
+  return rows;
+}
+
+const quoteCell = (value, delimiter) => {
+  const text = value == null ? "" : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+// Serialize rows of cells; the BOM lets spreadsheet apps detect UTF-8
+export function toDelimited(rows, delimiter = ",") {
+  return (
+    BOM +
+    rows
+      .map((cells) =>
+        cells.map((cell) => quoteCell(cell, delimiter)).join(delimiter)
+      )
+      .join("\r\n") +
+    "\r\n"
+  );
+}
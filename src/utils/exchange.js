@@ -0,0 +1,222 @@
+// Import and export of word lists: CSV/TSV spreadsheets, the JSON
+// vocabulary file format and Anki text decks.
+import { SCHEMA_VERSION, WORD_SCHEMA } from "../data/schema.js";
+import { describeIssue, validateWord } from "../data/loader.js";
+import { detectDelimiter, parseDelimited, toDelimited } from "./csv.js";
+import { nextWordId } from "./library.js";
+import { pronunciationOf } from "./transliterate.js";
+
+export const IMPORT_FORMATS = Object.freeze({
+  CSV: "csv",
+  TSV: "tsv",
+  JSON: "json",
+});
+
+export const WORD_FIELDS = Object.freeze(Object.keys(WORD_SCHEMA));
+
+// Header spellings people use in spreadsheets, besides the field names
+const FIELD_ALIASES = Object.freeze({
+  arabic: ["word", "ar", "arabic word", "আরবি"],
+  bengali: ["bangla", "bn", "meaning", "translation", "অর্থ", "বাংলা"],
+  english: ["en", "english meaning", "gloss"],
+  urdu: ["ur", "urdu meaning", "اردو"],
+  category: ["topic", "group", "tag"],
+  difficulty: ["level"],
+  pronunciation: ["transliteration", "romanization", "reading"],
+  plural: ["plural form"],
+  notes: ["note", "comment", "comments"],
+});
+
+// `key` and `params` give the message in the i18n tables, for showing it
+// in the interface language; `message` is the English text
+export class ImportError extends Error {
+  constructor(key, params) {
+    super(describeIssue({ key, params }));
+    this.name = "ImportError";
+    this.key = key;
+    this.params = params;
+  }
+}
+
+// ---- Import ----
+
+// Read a file's text into { format, columns, rows } with rows as
+// column → value objects. Throws ImportError when nothing usable is found.
+export function parseImport(text, fileName = "") {
+  const trimmed = text.trim();
+  if (!trimmed) throw new ImportError("data.fileEmpty");
+
+  if (/\.json$/i.test(fileName) || /^[[{]/.test(trimmed)) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new ImportError("data.invalidJSON", { detail: error.message });
+    }
+
+    // A vocabulary file ({ version, words }) or a bare array of words
+    const rows = Array.isArray(data) ? data : data?.words;
+    if (!Array.isArray(rows)) {
+      throw new ImportError("data.noWordArray");
+    }
+
+    const columns = [];
+    for (const row of rows) {
+      if (!row || typeof row !== "object") continue;
+      for (const key of Object.keys(row)) {
+        if (!columns.includes(key)) columns.push(key);
+      }
+    }
+    return { format: IMPORT_FORMATS.JSON, columns, rows };
+  }
+
+  const delimiter = detectDelimiter(trimmed);
+  const [header, ...body] = parseDelimited(trimmed, delimiter);
+  if (!body.length) {
+    throw new ImportError("data.noRows");
+  }
+
+  const columns = header.map((name, i) => name.trim() || `column ${i + 1}`);
+  const rows = body.map((cells) =>
+    Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ""]))
+  );
+
+  return {
+    format: delimiter === "\t" ? IMPORT_FORMATS.TSV : IMPORT_FORMATS.CSV,
+    columns,
+    rows,
+  };
+}
+
+// Map each column to the word field its header names, or null to skip it
+export function guessMapping(columns) {
+  const taken = new Set();
+  const mapping = {};
+
+  for (const column of columns) {
+    const name = column.trim().toLowerCase();
+    const field = WORD_FIELDS.find(
+      (candidate) =>
+        !taken.has(candidate) &&
+        (candidate === name || FIELD_ALIASES[candidate]?.includes(name))
+    );
+    mapping[column] = field ?? null;
+    if (field) taken.add(field);
+  }
+
+  return mapping;
+}
+
+// Turn mapped rows into raw word records. Blank cells are left out, and
+// array fields (examples) given as JSON text in a spreadsheet are parsed.
+export function mapRows(rows, mapping) {
+  return rows.map((row) => {
+    const raw = {};
+    if (!row || typeof row !== "object") return raw;
+
+    for (const [column, field] of Object.entries(mapping)) {
+      if (!field) continue;
+      let value = row[column];
+      if (value === undefined || value === null || value === "") continue;
+
+      if (WORD_SCHEMA[field].type === "array" && typeof value === "string") {
+        try {
+          value = JSON.parse(value);
+        } catch {
+          // Left as a string; validation reports it
+        }
+      }
+      raw[field] = value;
+    }
+    return raw;
+  });
+}
+
+// Validate raw records for import. Records without an id get a new one
+// (see nextWordId for `lastIssued`); records whose id is already in
+// `vocabulary` will replace that word. Returns one
+// { word, errors, replaces } entry per record.
+export function validateImport(records, vocabulary, lastIssued = 0) {
+  const existing = new Set(vocabulary.map((word) => word.id));
+  const assigned = [...vocabulary];
+  const seen = new Set();
+
+  return records.map((record, index) => {
+    const raw = { ...record };
+    if (!raw.id) {
+      raw.id = nextWordId(assigned, lastIssued);
+      assigned.push({ id: raw.id });
+    }
+
+    const { word, errors } = validateWord(raw, index);
+    if (word && seen.has(word.id)) {
+      return {
+        word: null,
+        errors: [
+          {
+            index,
+            key: "validation.duplicateInFile",
+            params: { id: word.id },
+          },
+        ],
+        replaces: false,
+      };
+    }
+    if (word) seen.add(word.id);
+
+    return { word, errors, replaces: Boolean(word && existing.has(word.id)) };
+  });
+}
+
+// ---- Export ----
+
+// Spreadsheet rows: a header of field names (so the file imports back
+// unchanged), examples as JSON text
+export function toCSV(words, delimiter = ",") {
+  const rows = words.map((word) =>
+    WORD_FIELDS.map((field) =>
+      Array.isArray(word[field]) ? JSON.stringify(word[field]) : word[field]
+    )
+  );
+  return toDelimited([WORD_FIELDS, ...rows], delimiter);
+}
+
+// The same { version, words } format as the bundled vocabulary file
+export const toJSON = (words) =>
+  JSON.stringify({ version: SCHEMA_VERSION, words }, null, 2) + "\n";
+
+// Words added or edited in the app plus the ids of deleted bundled words,
+// for merging back into the source list. Imports like a vocabulary file.
+export const toChangesJSON = (custom, deleted) =>
+  JSON.stringify(
+    { version: SCHEMA_VERSION, words: Object.values(custom), deleted },
+    null,
+    2
+  ) + "\n";
+
+// Anki's plain text import: Arabic on the front, Bengali and the
+// pronunciation on the back, category and difficulty as tags
+export function toAnkiDeck(words) {
+  const clean = (text) => text.replace(/[\t\r\n]+/g, " ");
+  const tag = (text) => text.trim().replace(/\s+/g, "_");
+
+  const header = [
+    "#separator:tab",
+    "#html:false",
+    "#columns:Front\tBack\tTags",
+    "#tags column:3",
+  ];
+  const notes = words.map((word) => {
+    const pronunciation = pronunciationOf(word);
+    const back = pronunciation
+      ? `${word.bengali} [${pronunciation}]`
+      : word.bengali;
+    return [
+      clean(word.arabic),
+      clean(back),
+      `${tag(word.category)} ${word.difficulty}`,
+    ].join("\t");
+  });
+
+  return [...header, ...notes].join("\n") + "\n";
+}
@@ -0,0 +1,24 @@
+import { GLOSS } from "../constants/glosses.js";
+
+export const isGlossLanguage = (value) => GLOSS.ORDER.includes(value);
+
+// Meaning of a word (or example) in `language`, or the Bengali one where
+// it has none. `language` is the one actually shown.
+export function glossOf(entry, language = GLOSS.DEFAULT) {
+  if (entry[language]) return { text: entry[language], language };
+  return { text: entry[GLOSS.DEFAULT], language: GLOSS.DEFAULT };
+}
+
+// Gloss languages some word has meanings in, in GLOSS.ORDER; Bengali always
+export const glossLanguagesOf = (words) =>
+  GLOSS.ORDER.filter(
+    (language) =>
+      language === GLOSS.DEFAULT || words.some((word) => word[language])
+  );
+
+// Every meaning a word has, in GLOSS.ORDER
+export const glossesOf = (entry) =>
+  GLOSS.ORDER.filter((language) => entry[language]).map((language) => ({
+    text: entry[language],
+    language,
+  }));
@@ -0,0 +1,62 @@
+// Interface translation: messages per locale, looked up by key with
+// {name} placeholders. Missing messages fall back to English. A message
+// that depends on a number is an object of plural forms ({ one, other })
+// chosen by `params.count`.
+import { LOCALE } from "../constants/locales.js";
+import { en } from "../i18n/en.js";
+import { bn } from "../i18n/bn.js";
+import { ur } from "../i18n/ur.js";
+
+const MESSAGES = Object.freeze({ en, bn, ur });
+
+export const isLocale = (value) => LOCALE.ORDER.includes(value);
+
+const numberFormats = new Map();
+
+// Numbers in the locale's digits (০১২ for Bengali)
+function formatNumber(value, locale) {
+  if (!numberFormats.has(locale)) {
+    numberFormats.set(locale, new Intl.NumberFormat(locale));
+  }
+  return numberFormats.get(locale).format(value);
+}
+
+const pluralRules = new Map();
+
+// The plural form of `message` that suits `count` in `locale`
+function pluralForm(message, count, locale) {
+  if (typeof message === "string") return message;
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  }
+  return message[pluralRules.get(locale).select(count)] ?? message.other;
+}
+
+// Message for `key` in `locale` with its placeholders filled from `params`
+export function translate(locale, key, params) {
+  const message = pluralForm(
+    MESSAGES[locale]?.[key] ?? en[key] ?? key,
+    params?.count ?? 0,
+    locale
+  );
+  if (!params) return message;
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined) return placeholder;
+    return typeof value === "number" ? formatNumber(value, locale) : value;
+  });
+}
+
+// The browser's preferred language when it is one of ours
+export function detectLocale() {
+  if (typeof navigator === "undefined") return LOCALE.DEFAULT;
+  for (const language of navigator.languages ?? [navigator.language]) {
+    const base = language?.split("-")[0];
+    if (isLocale(base)) return base;
+  }
+  return LOCALE.DEFAULT;
+}
+
+// Pick the locale's text from a { en, bn } label, English where missing
+export const localized = (label, locale) => label[locale] || label.en;
@@ -0,0 +1,50 @@
+import { validateWord } from "../data/loader.js";
+import { normalizeArabic } from "./arabic.js";
+
+// Ids of words added in the app: "u0001", "u0002", ...
+const USER_ID = /^u(\d+)$/;
+
+// Number of a user word id ("u0012" → 12), 0 for bundled ids
+export const userIdNumber = (id) => Number(USER_ID.exec(id)?.[1] ?? 0);
+
+// The next free user word id, after every id already in `words` and the
+// highest one ever handed out (`lastIssued`), so a deleted word's id and
+// the progress stored under it are never reused
+export function nextWordId(words, lastIssued = 0) {
+  let max = lastIssued;
+  for (const word of words) max = Math.max(max, userIdNumber(word.id));
+  return `u${String(max + 1).padStart(4, "0")}`;
+}
+
+// Bundled words with the learner's own layered on top: a custom word
+// with a bundled id replaces it in place, the rest are appended, and
+// `deleted` ids are dropped. Stored records that no longer validate are
+// skipped.
+export function mergeVocabulary(base, custom, deleted = []) {
+  const removed = new Set(deleted);
+  const overrides = new Map();
+  Object.values(custom).forEach((raw, index) => {
+    const { word } = validateWord(raw, index);
+    if (word) overrides.set(word.id, word);
+  });
+
+  const merged = base.map((word) => {
+    const override = overrides.get(word.id);
+    overrides.delete(word.id);
+    return override ?? word;
+  });
+
+  return Object.freeze(
+    [...merged, ...overrides.values()].filter((word) => !removed.has(word.id))
+  );
+}
+
+// Other words spelled the same once harakat and hamza/alif variants are
+// ignored
+export function findDuplicates(arabic, vocabulary, exceptId = null) {
+  const key = normalizeArabic(arabic || "");
+  if (!key) return [];
+  return vocabulary.filter(
+    (word) => word.id !== exceptId && normalizeArabic(word.arabic) === key
+  );
+}
@@ -0,0 +1,63 @@
+// Versioned upgrades of the stored records (key → value), so a change in
+// how progress, words or preferences are stored never wipes what learners
+// already have. The version reached is kept under SCHEMA_KEY.
+// Append new migrations with the next version; never edit shipped ones.
+import { foldHistory } from "./stats.js";
+
+export const SCHEMA_KEY = "meta.schema";
+
+export const MIGRATIONS = Object.freeze([
+  {
+    version: 1,
+    description: "Import records kept in localStorage before IndexedDB",
+    migrate(records, { legacy }) {
+      for (const [key, value] of legacy) {
+        if (!records.has(key)) records.set(key, value);
+      }
+    },
+  },
+  {
+    version: 2,
+    description: "Fold the review history event list into day and word tallies",
+    migrate(records) {
+      const events = records.get("history.v1");
+      if (!Array.isArray(events)) return;
+      records.set("history.v2", foldHistory(events));
+      records.delete("history.v1");
+    },
+  },
+]);
+
+// Run the migrations newer than the stored version on a copy of `records`.
+// Returns the migrated records with the keys to write and delete; if a
+// migration throws, the records stay as they were at the last version that
+// succeeded.
+export function runMigrations(records, context = {}) {
+  const from = records.get(SCHEMA_KEY) ?? 0;
+  let current = records;
+  let version = from;
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) continue;
+    const next = new Map(current);
+    try {
+      migration.migrate(next, { legacy: new Map(), ...context });
+    } catch (error) {
+      console.error(
+        `Storage migration ${migration.version} failed, keeping version ${version}`,
+        error
+      );
+      break;
+    }
+    next.set(SCHEMA_KEY, migration.version);
+    current = next;
+    version = migration.version;
+  }
+
+  const written = [...current.keys()].filter(
+    (key) => current.get(key) !== records.get(key)
+  );
+  const deleted = [...records.keys()].filter((key) => !current.has(key));
+
+  return { records: current, version, from, written, deleted };
+}
@@ -0,0 +1,235 @@
+// Rough romanization of Arabic and Bengali text plus lossy phonetic keys,
+// so learners can search from a Latin keyboard ("kitab", "ghor", "akash").
+// The keys are deliberately forgiving: they only need to line up with how
+// people spell words by ear, not to be a faithful transliteration.
+
+const ARABIC_LETTERS = Object.freeze({
+  "ا": "a",
+  "أ": "'",
+  "إ": "'",
+  "آ": "'a",
+  "ٱ": "",
+  "ء": "'",
+  "ؤ": "'",
+  "ئ": "'",
+  "ب": "b",
+  "ت": "t",
+  "ث": "s",
+  "ج": "j",
+  "ح": "h",
+  "خ": "kh",
+  "د": "d",
+  "ذ": "z",
+  "ر": "r",
+  "ز": "z",
+  "س": "s",
+  "ش": "sh",
+  "ص": "s",
+  "ض": "d",
+  "ط": "t",
+  "ظ": "z",
+  "ع": "'",
+  "غ": "gh",
+  "ف": "f",
+  "ق": "q",
+  "ك": "k",
+  "ل": "l",
+  "م": "m",
+  "ن": "n",
+  "ه": "h",
+  "ة": "",
+  "ى": "a",
+});
+
+const ARABIC_VOWELS = Object.freeze({
+  "\u064E": "a", // fatha
+  "\u0650": "i", // kasra
+  "\u064F": "u", // damma
+  "\u0670": "a", // dagger alif
+});
+
+const SHADDA = "\u0651";
+const HARAKA = /[\u064B-\u0652\u0670]/;
+
+// Approximate Arabic → Latin, dropping tanween and case endings noise
+export function arabicToLatin(text) {
+  const chars = Array.from(text.normalize("NFC"));
+  let out = "";
+  let last = "";
+
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    const next = chars[i + 1];
+    const voweled = next && HARAKA.test(next) && next !== "\u0652";
+
+    if (ch === "ا" && voweled) {
+      // Seat for the following haraka (e.g. اِسْمٌ), not a long vowel
+      last = "";
+    } else if (ch === "و") {
+      last = voweled ? "w" : "u";
+    } else if (ch === "ي") {
+      last = voweled ? "y" : "i";
+    } else if (ch in ARABIC_LETTERS) {
+      last = ARABIC_LETTERS[ch];
+    } else if (ch in ARABIC_VOWELS) {
+      out += ARABIC_VOWELS[ch];
+      continue;
+    } else if (ch === SHADDA) {
+      out += last;
+      continue;
+    } else if (HARAKA.test(ch) || ch === "\u0640") {
+      continue;
+    } else {
+      last = /\s/.test(ch) ? " " : "";
+    }
+    out += last;
+  }
+
+  return out.trim();
+}
+
+const BENGALI_VOWELS = Object.freeze({
+  "অ": "o",
+  "আ": "a",
+  "ই": "i",
+  "ঈ": "i",
+  "উ": "u",
+  "ঊ": "u",
+  "ঋ": "ri",
+  "এ": "e",
+  "ঐ": "oi",
+  "ও": "o",
+  "ঔ": "ou",
+});
+
+const BENGALI_SIGNS = Object.freeze({
+  "\u09BE": "a",
+  "\u09BF": "i",
+  "\u09C0": "i",
+  "\u09C1": "u",
+  "\u09C2": "u",
+  "\u09C3": "ri",
+  "\u09C7": "e",
+  "\u09C8": "oi",
+  "\u09CB": "o",
+  "\u09CC": "ou",
+});
+
+const BENGALI_CONSONANTS = Object.freeze({
+  "ক": "k",
+  "খ": "kh",
+  "গ": "g",
+  "ঘ": "gh",
+  "ঙ": "ng",
+  "চ": "ch",
+  "ছ": "chh",
+  "জ": "j",
+  "ঝ": "jh",
+  "ঞ": "n",
+  "ট": "t",
+  "ঠ": "th",
+  "ড": "d",
+  "ঢ": "dh",
+  "ণ": "n",
+  "ত": "t",
+  "থ": "th",
+  "দ": "d",
+  "ধ": "dh",
+  "ন": "n",
+  "প": "p",
+  "ফ": "f",
+  "ব": "b",
+  "ভ": "bh",
+  "ম": "m",
+  "য": "j",
+  "র": "r",
+  "ল": "l",
+  "শ": "sh",
+  "ষ": "sh",
+  "স": "s",
+  "হ": "h",
+  "ৎ": "t",
+});
+
+// Consonants that change sound with a nukta (ড় ঢ় য়)
+const BENGALI_NUKTA = Object.freeze({ "ড": "r", "ঢ": "rh", "য": "y" });
+
+const BENGALI_MARKS = Object.freeze({
+  "\u0982": "ng",
+  "\u0983": "h",
+  "\u0981": "",
+});
+
+const HASANTA = "\u09CD";
+const NUKTA = "\u09BC";
+
+// Approximate Bengali → Latin the way Banglish is usually typed
+export function bengaliToLatin(text) {
+  // NFD splits ড় ঢ় য় into base + nukta
+  const chars = Array.from(text.normalize("NFD"));
+  let out = "";
+
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+
+    if (ch in BENGALI_CONSONANTS) {
+      let sound = BENGALI_CONSONANTS[ch];
+      if (chars[i + 1] === NUKTA) {
+        sound = BENGALI_NUKTA[ch] || sound;
+        i++;
+      }
+      out += sound;
+
+      // Inherent vowel, silent before a sign, a hasanta or the word end
+      const next = chars[i + 1];
+      const endOfWord = !next || !/[\u0980-\u09FF]/.test(next);
+      if (!endOfWord && !(next in BENGALI_SIGNS) && next !== HASANTA) {
+        out += "o";
+      }
+    } else if (ch in BENGALI_VOWELS) {
+      out += BENGALI_VOWELS[ch];
+    } else if (ch in BENGALI_SIGNS) {
+      out += BENGALI_SIGNS[ch];
+    } else if (ch in BENGALI_MARKS) {
+      out += BENGALI_MARKS[ch];
+    } else if (ch === HASANTA || ch === NUKTA) {
+      continue;
+    } else {
+      out += /[\sA-Za-z]/.test(ch) ? ch : " ";
+    }
+  }
+
+  return out.replace(/\s+/g, " ").trim();
+}
+
+const LATIN_ONLY = /^[a-z\s'\u2019`\-\u0101\u012B\u016B\u1E25\u1E63\u1E0D\u1E6D\u1E93\u02BF\u02BE]+$/i;
+
+export const isLatin = (text) => LATIN_ONLY.test(text);
+
+// Spelling-tolerant key: folds vowel length, o/a, e/i, w/u, y/i, q/k, v/b,
+// z/j and doubled letters, so "ghor"/"ghar" and "samaa"/"sama" collide
+export function plainKey(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036F]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "")
+    .replace(/ph/g, "f")
+    .replace(/ee/g, "i")
+    .replace(/oo/g, "u")
+    .replace(/q/g, "k")
+    .replace(/c(?!h)/g, "k")
+    .replace(/v/g, "b")
+    .replace(/z/g, "j")
+    .replace(/w/g, "u")
+    .replace(/y/g, "i")
+    .replace(/o/g, "a")
+    .replace(/e/g, "i")
+    .replace(/(.)\1+/g, "$1");
+}
+
+// Consonant skeleton: plainKey without vowels or h (aspiration, kh/gh/sh)
+export const skeletonKey = (text) =>
+  plainKey(text)
+    .replace(/[aiuh]/g, "")
+    .replace(/(.)\1+/g, "$1");
@@ -0,0 +1,67 @@
+// Derive a learner status for each word from its SRS card and quiz record.
+
+// SRS interval (days) a card must reach to count as known / mastered
+const KNOWN_INTERVAL = 7;
+const MASTERED_INTERVAL = 21;
+
+// Consecutive correct quiz answers that count as known
+const KNOWN_QUIZ_STREAK = 3;
+
+export const createQuizStat = () => ({
+  attempts: 0,
+  correct: 0,
+  streak: 0,
+  lastAnswered: null,
+});
+
+export const recordAnswer = (stat, correct, now = Date.now()) => ({
+  attempts: stat.attempts + 1,
+  correct: stat.correct + (correct ? 1 : 0),
+  streak: correct ? stat.streak + 1 : 0,
+  lastAnswered: now,
+});
+
+export function getWordStatus(card, quizStat) {
+  if (card && card.interval >= MASTERED_INTERVAL) return "mastered";
+  if (
+    (card && card.interval >= KNOWN_INTERVAL) ||
+    (quizStat && quizStat.streak >= KNOWN_QUIZ_STREAK)
+  ) {
+    return "known";
+  }
+  if (card || quizStat?.attempts) return "learning";
+  return "new";
+}
+
+// Status per word id plus totals per status
+export function summarizeProgress(words, cards, quizStats) {
+  const statuses = {};
+  const counts = { new: 0, learning: 0, known: 0, mastered: 0 };
+
+  for (const word of words) {
+    const status = getWordStatus(cards[word.id], quizStats[word.id]);
+    statuses[word.id] = status;
+    counts[status]++;
+  }
+
+  return { statuses, counts };
+}
+
+// Review history events: one per flashcard grade or quiz answer. They are
+// folded into the stored tallies (see addToHistory in stats.js) rather than
+// kept.
+export const HISTORY_TYPES = Object.freeze({ REVIEW: "review", QUIZ: "quiz" });
+
+export const reviewEvent = (word, grade, now = Date.now()) => ({
+  type: HISTORY_TYPES.REVIEW,
+  id: word.id,
+  grade,
+  at: now,
+});
+
+export const quizEvent = (word, correct, now = Date.now()) => ({
+  type: HISTORY_TYPES.QUIZ,
+  id: word.id,
+  correct,
+  at: now,
+});
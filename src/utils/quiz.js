@@ -0,0 +1,100 @@
+import { normalizeArabic } from "./arabic.js";
+import { GLOSS } from "../constants/glosses.js";
+import { glossOf } from "./glosses.js";
+import { categoryOf } from "./categories.js";
+
+export const QUIZ_MODES = Object.freeze({
+  AR_TO_BN: "ar-bn",
+  BN_TO_AR: "bn-ar",
+  TYPED: "typed",
+});
+
+// Text a question's options show: the meaning, or the Arabic
+export const answerText = (word, mode, gloss = GLOSS.DEFAULT) =>
+  mode === QUIZ_MODES.AR_TO_BN ? glossOf(word, gloss).text : word.arabic;
+
+const OPTION_COUNT = 4;
+
+// Fisher-Yates on a copy
+export function shuffle(items, random = Math.random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Wrong options for a multiple-choice question, preferring the same
+// category so the choice isn't given away by topic. Words sharing the
+// answer's displayed text or its meaning are skipped to avoid two correct
+// options.
+function pickDistractors(word, pool, { textOf, meaningOf, random }) {
+  const seen = new Set([textOf(word)]);
+  const meaning = meaningOf(word);
+  const category = categoryOf(word.category);
+  const sameCategory = [];
+  const others = [];
+
+  for (const candidate of shuffle(pool, random)) {
+    const text = textOf(candidate);
+    if (seen.has(text) || meaningOf(candidate) === meaning) continue;
+    seen.add(text);
+    (categoryOf(candidate.category) === category ? sameCategory : others).push(
+      candidate
+    );
+  }
+
+  return [...sameCategory, ...others].slice(0, OPTION_COUNT - 1);
+}
+
+// Build a quiz over `words`, drawing distractors from the whole `pool`;
+// meanings are compared in the `gloss` language
+export function buildQuiz(
+  words,
+  pool,
+  {
+    mode = QUIZ_MODES.AR_TO_BN,
+    length = 10,
+    gloss = GLOSS.DEFAULT,
+    random = Math.random,
+  } = {}
+) {
+  const textOf = (word) => answerText(word, mode, gloss);
+  const meaningOf = (word) => glossOf(word, gloss).text;
+
+  return shuffle(words, random)
+    .slice(0, length)
+    .map((word) => ({
+      word,
+      options:
+        mode === QUIZ_MODES.TYPED
+          ? null
+          : shuffle(
+              [
+                word,
+                ...pickDistractors(word, pool, { textOf, meaningOf, random }),
+              ],
+              random
+            ),
+    }));
+}
+
+// Typed answers ignore harakat, hamza seats and spacing differences
+export const isTypedAnswerCorrect = (input, word) => {
+  const answer = normalizeArabic(input);
+  return answer !== "" && answer === normalizeArabic(word.arabic);
+};
+
+// Summary for the results screen
+export function scoreQuiz(answers) {
+  const missed = answers.filter((answer) => !answer.correct);
+  const correct = answers.length - missed.length;
+
+  return {
+    total: answers.length,
+    correct,
+    percent: answers.length ? Math.round((correct / answers.length) * 100) : 0,
+    missed: missed.map((answer) => answer.word),
+  };
+}
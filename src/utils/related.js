@@ -0,0 +1,26 @@
+import { categoryOf } from "./categories.js";
+import { rootKey, wordRoot } from "./roots.js";
+
+const MAX_RELATED = 12;
+
+// Other words sharing the word's root (curated or guessed), and others
+// from its (merged) category
+export function findRelatedWords(word, vocabulary, limit = MAX_RELATED) {
+  const key = rootKey(wordRoot(word).root);
+  const sameRoot = [];
+  const sameCategory = [];
+
+  for (const other of vocabulary) {
+    if (other.id === word.id) continue;
+    if (key && rootKey(wordRoot(other).root) === key) {
+      sameRoot.push(other);
+    } else if (categoryOf(other.category) === categoryOf(word.category)) {
+      sameCategory.push(other);
+    }
+  }
+
+  return {
+    sameRoot: sameRoot.slice(0, limit),
+    sameCategory: sameCategory.slice(0, limit),
+  };
+}
@@ -0,0 +1,120 @@
+import { normalizeArabic, stripTashkeel } from "./arabic.js";
+
+const NON_LETTER = /[^\u0621-\u064A]/g;
+const HAMZA = /\u0621/g;
+
+// Bare root letters ("ك-ت-ب", "ك ت ب" and "كتب" all give "كتب"),
+// so roots written with different separators compare equal. A hamza
+// radical folds to alif whatever its seat ("أ-م-ن" and "ء-م-ن").
+export const rootKey = (root) =>
+  root ? normalizeArabic(root).replace(NON_LETTER, "").replace(HAMZA, "ا") : "";
+
+// Display form with dashes between the letters: "ك-ت-ب"
+export const formatRoot = (root) =>
+  root ? Array.from(stripTashkeel(root).replace(NON_LETTER, "")).join("-") : "";
+
+// ---- Light root extraction ----
+// A heuristic stemmer for single vowelled words: it strips common affixes
+// and long-vowel infixes until three (or four) radicals remain. It is right
+// for most regular nouns and adjectives and only ever a "probable" root, so
+// a `root` in the data always wins over it.
+
+const LETTER = /[\u0621-\u064A]/;
+const SHADDA = /\u0651/;
+
+// Hamza seats collapse to a bare hamza, alif forms to alif
+const ROOT_LETTER_MAP = Object.freeze({
+  "أ": "ء",
+  "إ": "ء",
+  "ؤ": "ء",
+  "ئ": "ء",
+  "آ": "ءا",
+  "ٱ": "ا",
+  "ى": "ي",
+});
+
+const LONG_PREFIXES = ["است", "مست", "مت"];
+const SUFFIXES = ["ات", "ون", "ين", "ان", "يي", "ية"];
+const WEAK = ["ا", "و", "ي"];
+
+// Bare letters of a single word, with shadda spelled out as a double letter
+function toLetters(word) {
+  const letters = [];
+  for (const ch of word.normalize("NFC")) {
+    if (LETTER.test(ch)) {
+      letters.push(...(ROOT_LETTER_MAP[ch] || ch));
+    } else if (SHADDA.test(ch) && letters.length) {
+      letters.push(letters[letters.length - 1]);
+    }
+  }
+  return letters.join("");
+}
+
+export function extractRoot(arabic) {
+  if (!arabic) return null;
+
+  const text = arabic.trim();
+  // Phrases and lists ("إِلَى اللِّقَاءِ", "رِيْبَةٌ/شَكٌّ") have no single root
+  if (/[\s/]/.test(text)) return null;
+
+  let stem = toLetters(text).replace(/ة$/, "");
+
+  // Definite article, optionally after a one-letter conjunction/preposition
+  stem = stem.replace(/^[وفبكل]?ال(?=...)/, "");
+
+  // Tanween-fath alif: شُكْرًا → شكر
+  if (stem.length > 3) stem = stem.replace(/ا$/, "");
+
+  for (const prefix of LONG_PREFIXES) {
+    if (stem.startsWith(prefix) && stem.length - prefix.length >= 3) {
+      stem = stem.slice(prefix.length);
+      break;
+    }
+  }
+
+  for (const suffix of SUFFIXES) {
+    if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+      stem = stem.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  // Long-vowel infixes (كاتب، رسول، أمين) never start a root here
+  for (const weak of WEAK) {
+    let at = stem.indexOf(weak, 1);
+    while (stem.length > 3 && at > 0) {
+      stem = stem.slice(0, at) + stem.slice(at + 1);
+      at = stem.indexOf(weak, 1);
+    }
+  }
+
+  // Doubled middle radical from a shadda (مُتَكَبِّر → كبر)
+  if (stem.length > 3) stem = stem.replace(/(.)\1/, "$1");
+
+  // Derived-noun prefixes: maf'al, mif'al, muf'il, taf'il
+  if (stem.length > 3 && /^[مت]/.test(stem)) stem = stem.slice(1);
+
+  if (stem.length < 3 || stem.length > 4) return null;
+
+  // Hollow roots: a medial alif is usually a waw (قال، دار)
+  if (stem.length === 3 && stem[1] === "ا") {
+    stem = stem[0] + "و" + stem[2];
+  }
+
+  return stem;
+}
+
+// The word's root: the curated `root` field, or a guess from extractRoot
+// flagged with `guessed`. Cached per (frozen) word object.
+const rootCache = new WeakMap();
+
+export function wordRoot(word) {
+  let result = rootCache.get(word);
+  if (!result) {
+    result = word.root
+      ? { root: word.root, guessed: false }
+      : { root: extractRoot(word.arabic), guessed: true };
+    rootCache.set(word, result);
+  }
+  return result;
+}
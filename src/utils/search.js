@@ -0,0 +1,167 @@
+import { hasArabic, normalizeArabic } from "./arabic.js";
+import {
+  arabicToLatin,
+  bengaliToLatin,
+  isLatin,
+  plainKey,
+  skeletonKey,
+} from "./phonetic.js";
+import { pronunciationOf } from "./transliterate.js";
+import { categoryOf, groupOf, matchesCategory } from "./categories.js";
+
+// Match quality, highest first. A score of 0 means no match.
+export const MATCH_SCORE = Object.freeze({
+  EXACT: 100,
+  PREFIX: 80,
+  SUBSTRING: 60,
+  PHONETIC_EXACT: 50,
+  PHONETIC_PREFIX: 40,
+  SKELETON_EXACT: 30,
+  SKELETON_PREFIX: 20,
+  PHONETIC_SUBSTRING: 15,
+  CATEGORY: 10,
+});
+
+// Split glosses like "দাদা/নানা" or "মনে হয়, সম্ভবত" into searchable parts
+const splitTerms = (text) =>
+  text
+    .split(/[\s,/;()|]+/)
+    .map((term) => term.trim())
+    .filter(Boolean);
+
+// Romanized keys for every term of the Arabic, Bengali and pronunciation
+// (the data's own or the simple transliteration)
+const phoneticTerms = (word) => {
+  const latin = [
+    ...splitTerms(arabicToLatin(word.arabic)),
+    ...splitTerms(bengaliToLatin(word.bengali)),
+    ...splitTerms(pronunciationOf(word)),
+  ];
+
+  return latin
+    .map((term) => ({ plain: plainKey(term), skeleton: skeletonKey(term) }))
+    .filter((term) => term.plain);
+};
+
+// Precompute the normalized search keys for every word once,
+// so filtering on each keystroke only touches the query.
+export function buildSearchIndex(words) {
+  const index = new Map();
+  for (const word of words) {
+    index.set(word.id, {
+      arabic: normalizeArabic(word.arabic),
+      bengali: word.bengali.toLowerCase(),
+      english: (word.english ?? "").toLowerCase(),
+      urdu: word.urdu ?? "",
+      pronunciation: pronunciationOf(word).toLowerCase(),
+      phonetic: phoneticTerms(word),
+    });
+  }
+  return index;
+}
+
+const textScore = (text, query) => {
+  if (!query || !text) return 0;
+  if (text === query) return MATCH_SCORE.EXACT;
+  if (text.startsWith(query)) return MATCH_SCORE.PREFIX;
+  if (text.includes(query)) return MATCH_SCORE.SUBSTRING;
+  return 0;
+};
+
+const phoneticScore = (terms, plain, skeleton) => {
+  let best = 0;
+
+  for (const term of terms) {
+    let score = 0;
+    if (term.plain === plain) score = MATCH_SCORE.PHONETIC_EXACT;
+    else if (term.plain.startsWith(plain)) score = MATCH_SCORE.PHONETIC_PREFIX;
+    else if (skeleton && term.skeleton === skeleton)
+      score = MATCH_SCORE.SKELETON_EXACT;
+    else if (skeleton.length >= 2 && term.skeleton.startsWith(skeleton))
+      score = MATCH_SCORE.SKELETON_PREFIX;
+    else if (plain.length >= 3 && term.plain.includes(plain))
+      score = MATCH_SCORE.PHONETIC_SUBSTRING;
+
+    if (score > best) best = score;
+  }
+
+  return best;
+};
+
+// Returns a function scoring a word against the query (0 = no match).
+// Latin queries are also matched phonetically against romanized forms.
+// In strict mode Arabic must match exactly, harakat included.
+export function createScorer(query, index, { strict = false } = {}) {
+  const lower = query.trim().toLowerCase();
+  const arabicQuery =
+    !strict && hasArabic(lower) ? normalizeArabic(lower) : lower;
+  const latin = isLatin(lower);
+  const plain = latin ? plainKey(lower) : "";
+  const skeleton = latin ? skeletonKey(lower) : "";
+
+  return (word) => {
+    const keys = index.get(word.id);
+    const arabic = strict ? word.arabic : keys.arabic;
+
+    const direct = Math.max(
+      textScore(arabic, arabicQuery),
+      textScore(keys.bengali, lower),
+      textScore(keys.english, lower),
+      textScore(keys.urdu, lower),
+      textScore(keys.pronunciation, lower)
+    );
+    if (direct || !plain) return direct;
+
+    return phoneticScore(keys.phonetic, plain, skeleton);
+  };
+}
+
+// Combined difficulty, category group, categories, learner status and search
+// filter shared by every filtered view; a word must pass each of them, and
+// belong to any one of the selected (merged) categories. Returns a score per
+// word (0 = filtered out). A query naming a category keeps every word of
+// that category, ranked below the words matching the query themselves.
+export function createWordFilter(
+  {
+    difficulty = null,
+    group = null,
+    categories = [],
+    status = null,
+    statuses = {},
+    search = "",
+    strict = false,
+  },
+  index
+) {
+  const lower = search.trim().toLowerCase();
+  const score = lower ? createScorer(lower, index, { strict }) : null;
+
+  return (word) => {
+    if (difficulty && word.difficulty !== difficulty) return 0;
+    if (group && groupOf(word.category) !== group) return 0;
+    if (categories.length && !categories.includes(categoryOf(word.category))) {
+      return 0;
+    }
+    if (status && (statuses[word.id] ?? "new") !== status) return 0;
+    if (!score) return 1;
+    if (matchesCategory(word.category, lower)) {
+      return Math.max(score(word), MATCH_SCORE.CATEGORY);
+    }
+    return score(word);
+  };
+}
+
+// Flat list of the words passing the filters, best matches first
+export function filterWords(words, filters, index) {
+  const matchWord = createWordFilter(filters, index);
+  const scored = [];
+
+  for (const word of words) {
+    const wordScore = matchWord(word);
+    if (wordScore > 0) scored.push({ word, wordScore });
+  }
+
+  return scored
+    .sort((a, b) => b.wordScore - a.wordScore)
+    .map(({ word }) => word);
+}
@@ -0,0 +1,131 @@
+import { DIFFICULTY } from "../constants/difficulty.js";
+import { normalizeArabic } from "./arabic.js";
+
+// Orderings of the browse grid
+export const WORD_SORTS = Object.freeze({
+  HARDEST: "hardest",
+  EASIEST: "easiest",
+  HIJAI: "hijai",
+  ABJADI: "abjadi",
+  BENGALI: "bengali",
+  RECENT: "recent",
+  DUE: "due",
+  WEAKEST: "weakest",
+});
+
+export const WORD_SORT_LABELS = Object.freeze({
+  [WORD_SORTS.HARDEST]: "Hardest first",
+  [WORD_SORTS.EASIEST]: "Easiest first",
+  [WORD_SORTS.HIJAI]: "Arabic (hijāʾī)",
+  [WORD_SORTS.ABJADI]: "Arabic (abjadī)",
+  [WORD_SORTS.BENGALI]: "Bengali",
+  [WORD_SORTS.RECENT]: "Recently added",
+  [WORD_SORTS.DUE]: "Due for review",
+  [WORD_SORTS.WEAKEST]: "Weakest in quizzes",
+});
+
+// One-line explanation shown under the page title
+export const WORD_SORT_HINTS = Object.freeze({
+  [WORD_SORTS.HARDEST]: "Hardest words appear first",
+  [WORD_SORTS.EASIEST]: "Easiest words appear first",
+  [WORD_SORTS.HIJAI]: "Arabic alphabetical order (ا ب ت ث …)",
+  [WORD_SORTS.ABJADI]: "Arabic abjad order (أبجد هوز حطي …)",
+  [WORD_SORTS.BENGALI]: "Bengali alphabetical order",
+  [WORD_SORTS.RECENT]: "Most recently added words first",
+  [WORD_SORTS.DUE]: "Words due for review first",
+  [WORD_SORTS.WEAKEST]: "Lowest quiz accuracy first",
+});
+
+// Ways to section the grid
+export const GROUP_BY = Object.freeze({
+  CATEGORY: "category",
+  ROOT: "root",
+  NONE: "none",
+});
+
+export const GROUP_BY_LABELS = Object.freeze({
+  [GROUP_BY.CATEGORY]: "Category",
+  [GROUP_BY.ROOT]: "Root",
+  [GROUP_BY.NONE]: "None",
+});
+
+// Letter orders after normalizeArabic (hamza seats folded to ا, ة to ه)
+const HIJAI_ORDER = "ءابتثجحخدذرزسشصضطظعغفقكلمنهوي";
+const ABJADI_ORDER = "ءابجدهوزحطيكلمنسعفصقرشتثخذضظغ";
+
+const ARTICLE = /^ال(?=..)/;
+
+// Sortable key: each letter replaced by its rank in the alphabet, with the
+// article ignored as in dictionaries
+function alphabetKey(arabic, order) {
+  const letters = normalizeArabic(arabic).replace(ARTICLE, "");
+  let key = "";
+  for (const ch of letters) {
+    const rank = order.indexOf(ch);
+    key += String.fromCharCode(rank === -1 ? 0x7f : 0x21 + rank);
+  }
+  return key;
+}
+
+const compareKeys = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const bengaliCollator = new Intl.Collator("bn");
+
+const byDifficulty = (a, b) =>
+  (DIFFICULTY.ORDER[b.difficulty] || 0) - (DIFFICULTY.ORDER[a.difficulty] || 0);
+
+// Words carry no dates: words added in the app ("u0001") come before the
+// bundled ones, and within each a higher id is a later addition
+const ID_PATTERN = /^([a-z]*)(\d+)$/i;
+function addedRank(word) {
+  const [, prefix = "", number = "0"] = word.id.match(ID_PATTERN) ?? [];
+  return [prefix === "u" ? 1 : 0, Number(number)];
+}
+
+const quizAccuracy = (stat) =>
+  stat?.attempts ? stat.correct / stat.attempts : null;
+
+// Comparator for a sort mode. `cards` and `quizStats` (keyed by word id)
+// feed the review and quiz based orders. Ties fall back to hardest first.
+export function createWordComparator(sortBy, { cards = {}, quizStats = {} }) {
+  const keys = new Map();
+  const keyOf = (word, build) => {
+    if (!keys.has(word.id)) keys.set(word.id, build(word));
+    return keys.get(word.id);
+  };
+
+  const compare = {
+    [WORD_SORTS.HARDEST]: byDifficulty,
+    [WORD_SORTS.EASIEST]: (a, b) => byDifficulty(b, a),
+    [WORD_SORTS.HIJAI]: (a, b) => {
+      const build = (word) => alphabetKey(word.arabic, HIJAI_ORDER);
+      return compareKeys(keyOf(a, build), keyOf(b, build));
+    },
+    [WORD_SORTS.ABJADI]: (a, b) => {
+      const build = (word) => alphabetKey(word.arabic, ABJADI_ORDER);
+      return compareKeys(keyOf(a, build), keyOf(b, build));
+    },
+    [WORD_SORTS.BENGALI]: (a, b) =>
+      bengaliCollator.compare(a.bengali, b.bengali),
+    [WORD_SORTS.RECENT]: (a, b) => {
+      const [originA, numberA] = keyOf(a, addedRank);
+      const [originB, numberB] = keyOf(b, addedRank);
+      return originB - originA || numberB - numberA;
+    },
+    // Scheduled words by due date, then the never reviewed ones
+    [WORD_SORTS.DUE]: (a, b) =>
+      (cards[a.id]?.due ?? Infinity) - (cards[b.id]?.due ?? Infinity) || 0,
+    // Lowest share of correct answers first; unquizzed words last
+    [WORD_SORTS.WEAKEST]: (a, b) => {
+      const accuracyA = quizAccuracy(quizStats[a.id]);
+      const accuracyB = quizAccuracy(quizStats[b.id]);
+      if (accuracyA === accuracyB) return 0;
+      if (accuracyA === null) return 1;
+      if (accuracyB === null) return -1;
+      return accuracyA - accuracyB;
+    },
+  }[sortBy];
+
+  if (!compare) throw new RangeError(`Unknown sort: ${sortBy}`);
+  return (a, b) => compare(a, b) || byDifficulty(a, b);
+}
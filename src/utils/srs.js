@@ -0,0 +1,137 @@
+// SM-2 style spaced-repetition scheduling.
+// A card tracks one word: its ease factor, current interval in days,
+// consecutive successful reviews and when it is next due.
+
+export const GRADES = Object.freeze({ AGAIN: 0, HARD: 1, GOOD: 2, EASY: 3 });
+
+export const GRADE_LABELS = Object.freeze({
+  [GRADES.AGAIN]: "Again",
+  [GRADES.HARD]: "Hard",
+  [GRADES.GOOD]: "Good",
+  [GRADES.EASY]: "Easy",
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY = 10 * 60 * 1000;
+const MIN_EASE = 1.3;
+
+// Harder words start with a lower ease, so their intervals grow more slowly
+export const INITIAL_EASE = Object.freeze({
+  easy: 2.6,
+  medium: 2.3,
+  hard: 2.0,
+});
+
+export const createCard = (word) => ({
+  ease: INITIAL_EASE[word.difficulty] ?? INITIAL_EASE.medium,
+  interval: 0,
+  reps: 0,
+  lapses: 0,
+  due: 0,
+  lastReviewed: null,
+});
+
+// Early steps follow the ease too, so hard words come back sooner from
+// their second review on: Good after Good is 4 days for easy words, 3 for
+// medium and 2 for hard; a first Easy is 4 days, 3 for hard words
+const secondGoodInterval = (ease) => Math.max(2, Math.round((ease - 1) * 2.4));
+const firstEasyInterval = (ease) => Math.max(2, Math.round(ease * 1.6));
+
+const nextInterval = (card, grade) => {
+  const { interval, reps, ease } = card;
+
+  switch (grade) {
+    case GRADES.HARD:
+      return reps === 0
+        ? 1
+        : Math.max(interval + 1, Math.round(interval * 1.2));
+    case GRADES.GOOD:
+      if (reps === 0) return 1;
+      if (reps === 1) return secondGoodInterval(ease);
+      return Math.max(interval + 1, Math.round(interval * ease));
+    case GRADES.EASY:
+      if (reps === 0) return firstEasyInterval(ease);
+      return Math.max(interval + 2, Math.round(interval * ease * 1.3));
+    default:
+      return 0;
+  }
+};
+
+const EASE_DELTA = Object.freeze({
+  [GRADES.AGAIN]: -0.2,
+  [GRADES.HARD]: -0.15,
+  [GRADES.GOOD]: 0,
+  [GRADES.EASY]: 0.15,
+});
+
+// Apply a grade and return the updated card (cards are never mutated)
+export function reviewCard(card, grade, now = Date.now()) {
+  if (!(grade in EASE_DELTA)) {
+    throw new RangeError(`Unknown review grade: ${grade}`);
+  }
+
+  // Rounded so repeated float additions don't drift in storage
+  const ease = Math.max(
+    MIN_EASE,
+    Math.round((card.ease + EASE_DELTA[grade]) * 100) / 100
+  );
+
+  if (grade === GRADES.AGAIN) {
+    return {
+      ...card,
+      ease,
+      interval: 0,
+      reps: 0,
+      lapses: card.lapses + 1,
+      due: now + RELEARN_DELAY,
+      lastReviewed: now,
+    };
+  }
+
+  const interval = nextInterval(card, grade);
+  return {
+    ...card,
+    ease,
+    interval,
+    reps: card.reps + 1,
+    due: now + interval * DAY,
+    lastReviewed: now,
+  };
+}
+
+// Preview of when a grade would bring the card back, as a count of the
+// largest fitting unit ("minutes", "days", "months" or "years")
+export function describeInterval(card, grade) {
+  if (grade === GRADES.AGAIN) {
+    return { unit: "minutes", count: RELEARN_DELAY / 60000 };
+  }
+  const days = nextInterval(card, grade);
+  if (days < 30) return { unit: "days", count: days };
+  if (days < 365) return { unit: "months", count: Math.round(days / 30) };
+  return { unit: "years", count: Number((days / 365).toFixed(1)) };
+}
+
+// Words to study now: due reviews (oldest first), then unseen words,
+// hardest first, capped at `newLimit`
+export function buildReviewQueue(
+  words,
+  cards,
+  { now = Date.now(), newLimit = 20 } = {}
+) {
+  const due = [];
+  const fresh = [];
+
+  for (const word of words) {
+    const card = cards[word.id];
+    if (!card) fresh.push(word);
+    else if (card.due <= now) due.push(word);
+  }
+
+  due.sort((a, b) => cards[a.id].due - cards[b.id].due);
+  fresh.sort(
+    (a, b) =>
+      (INITIAL_EASE[a.difficulty] ?? 0) - (INITIAL_EASE[b.difficulty] ?? 0)
+  );
+
+  return [...due, ...fresh.slice(0, newLimit)];
+}
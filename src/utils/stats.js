@@ -0,0 +1,230 @@
+// Learning statistics computed from the stored review history, SRS cards
+// and learner statuses. Days are local calendar days keyed "YYYY-MM-DD".
+//
+// The history is not kept as a list of events: each review or quiz answer
+// is folded into tallies as it happens, { days: { [dayKey]: { answers,
+// correct } }, words: { [id]: { attempts, misses } } }, so the stored record
+// grows with the days studied and the words tried, not with every answer.
+import { DIFFICULTY } from "../constants/difficulty.js";
+import { categoryOf, sortCategories } from "./categories.js";
+import { HISTORY_TYPES } from "./progress.js";
+import { GRADES } from "./srs.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Intensity steps of a heatmap cell, 0 = no reviews that day
+export const HEATMAP_LEVELS = 5;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+export const dayKey = (time) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+};
+
+// Midnight of the day `offset` days from `time`, DST-safe
+const startOfDay = (time, offset = 0) => {
+  const date = new Date(time);
+  return new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate() + offset
+  ).getTime();
+};
+
+// A review graded above Again or a correct quiz answer
+export const isSuccess = (event) =>
+  event.type === HISTORY_TYPES.QUIZ
+    ? Boolean(event.correct)
+    : event.grade !== GRADES.AGAIN;
+
+export const EMPTY_HISTORY = Object.freeze({ days: {}, words: {} });
+
+// Count one event into the (copied) day and word tallies
+function tally(days, words, event) {
+  const key = dayKey(event.at);
+  const success = isSuccess(event);
+  const day = days[key] ?? { answers: 0, correct: 0 };
+  const word = words[event.id] ?? { attempts: 0, misses: 0 };
+  days[key] = {
+    answers: day.answers + 1,
+    correct: day.correct + (success ? 1 : 0),
+  };
+  words[event.id] = {
+    attempts: word.attempts + 1,
+    misses: word.misses + (success ? 0 : 1),
+  };
+}
+
+// History with one more review or quiz answer
+export function addToHistory(history, event) {
+  const days = { ...history.days };
+  const words = { ...history.words };
+  tally(days, words, event);
+  return { days, words };
+}
+
+// History tallies of a list of events, oldest first
+export function foldHistory(events) {
+  const days = {};
+  const words = {};
+  for (const event of events) tally(days, words, event);
+  return { days, words };
+}
+
+// Midnight of a "YYYY-MM-DD" day
+const dayStart = (key) => {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day).getTime();
+};
+
+// Reviews and quiz answers per day
+export const countByDay = (history) =>
+  new Map(Object.entries(history.days).map(([key, day]) => [key, day.answers]));
+
+// Consecutive days with any activity. The current streak still counts
+// when today has no activity yet but yesterday had.
+export function computeStreaks(dayCounts, now = Date.now()) {
+  const days = [...dayCounts.keys()].sort();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  for (const key of days) {
+    const time = dayStart(key);
+    run = previous !== null && startOfDay(previous, 1) === time ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = time;
+  }
+
+  let current = 0;
+  let offset = dayCounts.has(dayKey(now)) ? 0 : -1;
+  while (dayCounts.has(dayKey(startOfDay(now, offset)))) {
+    current++;
+    offset--;
+  }
+
+  return { current, longest };
+}
+
+// Calendar heatmap of the last `weeks` weeks: one column per week, Sunday
+// first, ending with the current week. Future days are null.
+export function buildHeatmap(dayCounts, { weeks = 26, now = Date.now() } = {}) {
+  const today = startOfDay(now);
+  const first = startOfDay(today, -new Date(today).getDay() - (weeks - 1) * 7);
+  const max = Math.max(0, ...dayCounts.values());
+
+  const columns = [];
+  for (let week = 0; week < weeks; week++) {
+    const column = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const time = startOfDay(first, week * 7 + weekday);
+      if (time > today) {
+        column.push(null);
+        continue;
+      }
+      const key = dayKey(time);
+      const count = dayCounts.get(key) ?? 0;
+      column.push({
+        key,
+        count,
+        level: count
+          ? Math.max(1, Math.ceil((count / max) * (HEATMAP_LEVELS - 1)))
+          : 0,
+      });
+    }
+    columns.push(column);
+  }
+  return columns;
+}
+
+// Share of successful answers per week over the last `weeks` weeks, oldest
+// first; weeks without activity have a null percent
+export function accuracyByWeek(history, { weeks = 12, now = Date.now() } = {}) {
+  const today = startOfDay(now);
+  const start = startOfDay(today, -new Date(today).getDay() - (weeks - 1) * 7);
+  const buckets = Array.from({ length: weeks }, (_, i) => ({
+    start: startOfDay(start, i * 7),
+    total: 0,
+    correct: 0,
+  }));
+
+  for (const [key, day] of Object.entries(history.days)) {
+    const time = dayStart(key);
+    if (time < start) continue;
+    // Whole days, rounded since a daylight saving change shifts midnight
+    const days = Math.round((time - start) / DAY);
+    const index = Math.min(weeks - 1, Math.floor(days / 7));
+    buckets[index].total += day.answers;
+    buckets[index].correct += day.correct;
+  }
+
+  return buckets.map((bucket) => ({
+    ...bucket,
+    percent: bucket.total
+      ? Math.round((bucket.correct / bucket.total) * 100)
+      : null,
+  }));
+}
+
+const isLearned = (status) => status === "known" || status === "mastered";
+
+function learnedBy(words, statuses, keyOf) {
+  const result = new Map();
+  for (const word of words) {
+    const key = keyOf(word);
+    const row = result.get(key) ?? { key, total: 0, learned: 0 };
+    row.total++;
+    if (isLearned(statuses[word.id])) row.learned++;
+    result.set(key, row);
+  }
+  return result;
+}
+
+// Known or mastered words per difficulty, easiest first
+export function learnedByDifficulty(words, statuses) {
+  const rows = learnedBy(words, statuses, (word) => word.difficulty);
+  return [...rows.values()].sort(
+    (a, b) => (DIFFICULTY.ORDER[a.key] || 0) - (DIFFICULTY.ORDER[b.key] || 0)
+  );
+}
+
+// Known or mastered words per (merged) category, in taxonomy order
+export function learnedByCategory(words, statuses) {
+  const rows = learnedBy(words, statuses, (word) => categoryOf(word.category));
+  return sortCategories([...rows.keys()]).map((key) => rows.get(key));
+}
+
+// Cards coming due on each of the next `days` days; overdue cards are
+// counted today
+export function reviewForecast(cards, { days = 14, now = Date.now() } = {}) {
+  const today = startOfDay(now);
+  const forecast = Array.from({ length: days }, (_, i) => ({
+    key: dayKey(startOfDay(today, i)),
+    count: 0,
+  }));
+  const index = new Map(forecast.map((day, i) => [day.key, i]));
+
+  for (const card of Object.values(cards)) {
+    const key = card.due < today ? forecast[0].key : dayKey(card.due);
+    const i = index.get(key);
+    if (i !== undefined) forecast[i].count++;
+  }
+  return forecast;
+}
+
+// Words missed most often (Again grades and wrong quiz answers), ties
+// broken by the higher miss rate
+export function mostMissedWords(history, words, limit = 10) {
+  const byId = new Map(words.map((word) => [word.id, word]));
+  return Object.entries(history.words)
+    .filter(([id, tally]) => tally.misses > 0 && byId.has(id))
+    .map(([id, tally]) => ({ word: byId.get(id), ...tally }))
+    .sort(
+      (a, b) =>
+        b.misses - a.misses || b.misses / b.attempts - a.misses / a.attempts
+    )
+    .slice(0, limit);
+}
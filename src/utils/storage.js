@@ -0,0 +1,150 @@
+// Persistent storage for preferences, learner progress, custom words and
+// review history, the one layer every study feature keeps its data in.
+// Records live in IndexedDB, or in localStorage where IndexedDB is
+// unavailable (some private modes). initStorage() reads them once at
+// startup, runs the schema migrations and keeps them in memory, so reads
+// stay synchronous and writes go through in the background.
+// Storage may fail (quota, blocked), so failures are swallowed and reads
+// fall back to the given default.
+import { runMigrations } from "./migrations.js";
+
+const PREFIX = "learn_arabic.";
+const DB_NAME = "learn_arabic";
+const DB_VERSION = 1;
+const STORE = "records";
+
+// key → value once initStorage() has run
+let records = null;
+let backend = null;
+
+const localBackend = {
+  async readAll() {
+    const result = new Map();
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key?.startsWith(PREFIX)) continue;
+      try {
+        result.set(
+          key.slice(PREFIX.length),
+          JSON.parse(localStorage.getItem(key))
+        );
+      } catch {
+        // Skip a corrupt record rather than lose the others
+      }
+    }
+    return result;
+  },
+  async write(key, value) {
+    localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  },
+  async remove(key) {
+    localStorage.removeItem(PREFIX + key);
+  },
+};
+
+const settle = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("IndexedDB upgrade blocked"));
+  });
+}
+
+function indexedDBBackend(db) {
+  const store = (mode) => db.transaction(STORE, mode).objectStore(STORE);
+  return {
+    async readAll() {
+      const readonly = store("readonly");
+      const [keys, values] = await Promise.all([
+        settle(readonly.getAllKeys()),
+        settle(readonly.getAll()),
+      ]);
+      return new Map(keys.map((key, i) => [key, values[i]]));
+    },
+    write: (key, value) => settle(store("readwrite").put(value, key)),
+    remove: (key) => settle(store("readwrite").delete(key)),
+  };
+}
+
+async function openBackend() {
+  if (typeof indexedDB !== "undefined") {
+    try {
+      return indexedDBBackend(await openDatabase());
+    } catch {
+      // Fall through to localStorage
+    }
+  }
+  return localBackend;
+}
+
+// Load, migrate and cache every record. Call once before rendering.
+export async function initStorage() {
+  if (records) return;
+
+  backend = await openBackend();
+  const stored = await backend.readAll().catch(() => new Map());
+  // Records saved before IndexedDB was used
+  const legacy =
+    backend === localBackend
+      ? new Map()
+      : await localBackend.readAll().catch(() => new Map());
+
+  const migrated = runMigrations(stored, { legacy });
+  records = migrated.records;
+
+  try {
+    await Promise.all([
+      ...migrated.written.map((key) => backend.write(key, records.get(key))),
+      ...migrated.deleted.map((key) => backend.remove(key)),
+    ]);
+    // Copied over by migration 1 in this run: the localStorage copies would
+    // only go stale. Any other run leaves localStorage alone.
+    if (migrated.from < 1 && migrated.version >= 1) {
+      await Promise.all(
+        [...legacy.keys()].map((key) => localBackend.remove(key))
+      );
+    }
+  } catch {
+    // Still migrated in memory; the next start migrates the stored copy again
+  }
+}
+
+export function loadJSON(key, fallback) {
+  // Before initStorage() (or without a browser) read localStorage directly
+  if (!records) {
+    try {
+      const raw = localStorage.getItem(PREFIX + key);
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch {
+      return fallback;
+    }
+  }
+  return records.has(key) ? records.get(key) : fallback;
+}
+
+export function saveJSON(key, value) {
+  if (!records) {
+    try {
+      localStorage.setItem(PREFIX + key, JSON.stringify(value));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  records.set(key, value);
+  // Kept in memory for this session even if the write is refused (quota)
+  backend.write(key, value).catch(() => {});
+  return true;
+}
@@ -0,0 +1,530 @@
+// Arabic → Latin or Bengali-script transliteration of vowelled text, used
+// to fill in `pronunciation` when the data has none.
+//
+// Words are read in pause the way dictionaries cite them: tanween and the
+// case vowel of a final definite or tā' marbūṭa word are dropped (كِتَابٌ →
+// kitāb), except the adverbial -an written with its alif (شُكْرًا → shukran).
+// Inside a phrase, hamzat al-wasl is silent after a vowel (إِلَى اللِّقَاءِ →
+// ilā l-liqāʼ), and اللّٰه reads as one word, allāh. Words before the last
+// keep their case endings, tanween and the t of tā' marbūṭa (مَدِينَةُ
+// النَّبِيِّ → madīnatu n-nabiyy).
+
+export const TRANSLIT_SCHEMES = Object.freeze({
+  SIMPLE: "simple",
+  ALA_LC: "ala-lc",
+  DIN: "din",
+  BENGALI: "bengali",
+});
+
+export const TRANSLIT_SCHEME_LABELS = Object.freeze({
+  [TRANSLIT_SCHEMES.SIMPLE]: "Simple",
+  [TRANSLIT_SCHEMES.ALA_LC]: "ALA-LC",
+  [TRANSLIT_SCHEMES.DIN]: "DIN 31635",
+  [TRANSLIT_SCHEMES.BENGALI]: "বাংলা",
+});
+
+const FATHA = "\u064E";
+const DAMMA = "\u064F";
+const KASRA = "\u0650";
+const SHADDA = "\u0651";
+const SUKUN = "\u0652";
+const DAGGER_ALIF = "\u0670";
+const TANWEEN = Object.freeze({
+  "\u064B": "a",
+  "\u064C": "u",
+  "\u064D": "i",
+});
+const SHORT_VOWELS = Object.freeze({
+  [FATHA]: "a",
+  [DAMMA]: "u",
+  [KASRA]: "i",
+});
+
+const TATWEEL = "\u0640";
+const LETTER = /[\u0621-\u064A\u0671]/;
+// Letters and marks; anything else (brackets, ؟) passes through as is
+const ARABIC_RUN = /([^\u0621-\u0671]+)/;
+const HAMZAS = new Set(["ء", "أ", "إ", "ؤ", "ئ"]);
+const ALIFS = new Set(["ا", "ٱ"]);
+// One-letter prefixes written joined to the next word: بِاسْمِ، وَالشَّمْسِ
+const PROCLITICS = new Set(["ب", "و", "ف", "ك"]);
+const SUN_LETTERS = new Set("تثدذرزسشصضطظلن");
+const PUNCTUATION = Object.freeze({ "؟": "?", "،": ",", "؛": ";" });
+
+// ---- Parsing ----
+// A word becomes a list of letters carrying their marks, then a list of
+// phonemes: { c } consonants (optionally `double`), { v, long } vowels,
+// { article, sun } for al-, { taMarbuta } and { raw } punctuation. A
+// `wasl` article or vowel is `elided` after a vowel.
+
+function parseLetters(word) {
+  const units = [];
+  for (const ch of word) {
+    const unit = units[units.length - 1];
+    if (ch === TATWEEL) {
+      continue;
+    } else if (LETTER.test(ch)) {
+      units.push({ letter: ch, vowel: null, tanween: null, shadda: false });
+    } else if (!unit || ch === SUKUN) {
+      // Stray mark; a missing vowel already means sukun
+    } else if (ch in SHORT_VOWELS) {
+      unit.vowel = SHORT_VOWELS[ch];
+    } else if (ch in TANWEEN) {
+      unit.tanween = TANWEEN[ch];
+    } else if (ch === SHADDA) {
+      unit.shadda = true;
+    } else if (ch === DAGGER_ALIF) {
+      unit.vowel = "a";
+      unit.dagger = true;
+    }
+  }
+  return units;
+}
+
+// اللّٰه (or الله) from its alif at `from` to the end of the word
+const isJalala = (units, from) =>
+  units.length === from + 4 &&
+  ALIFS.has(units[from].letter) &&
+  units[from + 1].letter === "ل" &&
+  !units[from + 1].vowel &&
+  units[from + 2].letter === "ل" &&
+  units[from + 3].letter === "ه";
+
+function wordPhonemes(units, isLast) {
+  const out = [];
+  let lastVowel = null;
+  let start = 0;
+  let skipShadda = -1;
+  let definite = false;
+
+  const pushVowel = (v, long = false) => {
+    lastVowel = { v, long };
+    out.push(lastVowel);
+  };
+  const lengthen = (extra) => {
+    lastVowel.long = true;
+    Object.assign(lastVowel, extra);
+  };
+
+  // A vowelled prefix silences the wasl alif after it: bi-smi, wa-sh-shams
+  const proclitic =
+    units.length > 3 &&
+    PROCLITICS.has(units[0].letter) &&
+    Boolean(units[0].vowel) &&
+    !units[0].shadda &&
+    units[1].letter === "ا" &&
+    !units[1].vowel &&
+    !units[2].vowel &&
+    !units[2].shadda;
+  const alif = proclitic ? 1 : 0;
+  if (proclitic) {
+    out.push({ c: units[0].letter });
+    pushVowel(units[0].vowel);
+    start = 2;
+  }
+
+  // The name of Allah: a doubled lām and long ā, whatever the marks
+  if (isJalala(units, alif)) {
+    if (!proclitic) out.push({ v: "a", wasl: true });
+    out.push({ c: "ل", double: true }, { v: "a", long: true }, { c: "ه" });
+    const caseVowel = units[alif + 3].vowel;
+    if (caseVowel && !isLast) out.push({ v: caseVowel });
+    return out;
+  }
+
+  // Definite article: ال / ٱل with an unvowelled lām before a third letter
+  if (
+    units.length > alif + 2 &&
+    ALIFS.has(units[alif].letter) &&
+    units[alif + 1].letter === "ل" &&
+    !units[alif + 1].vowel
+  ) {
+    const next = units[alif + 2].letter;
+    const sun = SUN_LETTERS.has(next) ? next : null;
+    out.push({ article: true, sun, wasl: true, elided: proclitic });
+    if (sun) skipShadda = alif + 2;
+    definite = true;
+    start = alif + 2;
+  }
+
+  // Pausal reading of the last word drops its final case vowel
+  const lastIndex = units.length - 1;
+  const pausal = isLast && (definite || units[lastIndex].letter === "ة");
+
+  for (let k = start; k < units.length; k++) {
+    const unit = units[k];
+    const { letter, tanween } = unit;
+    const initial = k === start;
+    const final = k === lastIndex;
+    const vowel = final && pausal && !unit.dagger ? null : unit.vowel;
+    const voweled = Boolean(vowel || tanween || unit.shadda);
+    const prev = lastVowel && out[out.length - 1] === lastVowel;
+
+    if (ALIFS.has(letter) && unit.vowel) {
+      // Seat of an initial vowel: اِسْمٌ; always hamzat al-wasl on ٱ
+      pushVowel(unit.vowel);
+      if (letter === "ٱ" && initial) lastVowel.wasl = true;
+      continue;
+    }
+    if (initial && ALIFS.has(letter) && units[k + 1]?.shadda) {
+      // Wasl alif of الَّذِيْ and its kin, written without the article's lām
+      pushVowel("a");
+      lastVowel.wasl = true;
+      continue;
+    }
+    if (letter === "ا" || letter === "ى") {
+      const after = units[k - 1];
+      if (after && after.tanween === "a") continue; // حَقًّا
+      if (prev && !lastVowel.long) {
+        lengthen(letter === "ى" ? { maqsura: true } : {});
+      } else if (!prev) {
+        pushVowel("a", true);
+      }
+      continue;
+    }
+    if (letter === "آ") {
+      if (!initial || definite) out.push({ c: "ء" });
+      pushVowel("a", true);
+      continue;
+    }
+    if ((letter === "و" || letter === "ي") && !voweled && !initial) {
+      const matching = letter === "و" ? "u" : "i";
+      if (prev && lastVowel.v === matching && !lastVowel.long) {
+        lengthen();
+        continue;
+      }
+      if (!prev) {
+        pushVowel(matching, true);
+        continue;
+      }
+    }
+    // Read as t before the next word of a phrase: مَدِينَةُ النَّبِيِّ
+    if (letter === "ة") {
+      if (!isLast && (vowel || tanween)) {
+        out.push({ c: "ت" });
+        pushVowel(vowel || tanween);
+        if (tanween) out.push({ c: "ن" });
+      } else {
+        out.push({ taMarbuta: true });
+      }
+      continue;
+    }
+
+    // Initial hamza is not written in any of the schemes
+    if (!(HAMZAS.has(letter) && initial)) {
+      out.push({ c: letter, double: unit.shadda && k !== skipShadda });
+    }
+    if (vowel) {
+      pushVowel(vowel, Boolean(unit.dagger));
+    } else if (HAMZAS.has(letter) && initial) {
+      pushVowel(letter === "إ" ? "i" : "a");
+    }
+
+    // Adverbial tanween written with its alif: شُكْرًا. Inside a phrase
+    // every tanween is read: كِتَابٌ جَدِيدٌ → kitābun jadīd
+    if (tanween === "a" && units[k + 1]?.letter === "ا") {
+      pushVowel("a");
+      out.push({ c: "ن" });
+    } else if (tanween && !isLast) {
+      pushVowel(tanween);
+      out.push({ c: "ن" });
+    }
+  }
+
+  return out;
+}
+
+const ARABIC_START = /^[ء-ٰٟٱـ]/;
+
+function toPhonemes(text) {
+  const words = text.normalize("NFC").trim().split(/\s+/);
+  const result = [];
+
+  words.forEach((word, w) => {
+    if (w > 0) result.push({ raw: " " });
+    // Split off punctuation around or inside the word: "أَنَا)"
+    const parts = word.split(/([^ء-ٰٟٱـ]+)/);
+    parts.forEach((part, p) => {
+      if (!part) return;
+      if (p % 2 === 1) {
+        result.push({ raw: part });
+      } else {
+        // Read in pause at the end of the phrase and before punctuation,
+        // so "رِيْبَةٌ/شَكٌّ" gives two citation forms
+        const isLast =
+          Boolean(parts[p + 1]) ||
+          (p >= parts.length - 2 && !ARABIC_START.test(words[w + 1] ?? ""));
+        const phonemes = wordPhonemes(parseLetters(part), isLast);
+        // Hamzat al-wasl is silent after the previous word's final vowel
+        const before = p === 0 && w > 0 ? result[result.length - 2] : null;
+        if (before?.v && phonemes[0]?.wasl) {
+          phonemes[0] = { ...phonemes[0], elided: true };
+        }
+        result.push(...phonemes);
+      }
+    });
+  });
+
+  return result;
+}
+
+// ---- Latin schemes ----
+
+const LATIN_BASE = Object.freeze({
+  ب: "b",
+  ت: "t",
+  ج: "j",
+  د: "d",
+  ر: "r",
+  ز: "z",
+  س: "s",
+  ف: "f",
+  ق: "q",
+  ك: "k",
+  ل: "l",
+  م: "m",
+  ن: "n",
+  ه: "h",
+  و: "w",
+  ي: "y",
+});
+
+const LATIN_SCHEMES = Object.freeze({
+  [TRANSLIT_SCHEMES.SIMPLE]: {
+    letters: {
+      ...LATIN_BASE,
+      ء: "'",
+      ث: "th",
+      ح: "h",
+      خ: "kh",
+      ذ: "dh",
+      ش: "sh",
+      ص: "s",
+      ض: "d",
+      ط: "t",
+      ظ: "z",
+      ع: "'",
+      غ: "gh",
+    },
+    long: { a: "aa", i: "ee", u: "oo" },
+    maqsura: "aa",
+    diphthongs: { w: "w", y: "y" },
+    taMarbuta: "h",
+    assimilate: true,
+  },
+  [TRANSLIT_SCHEMES.ALA_LC]: {
+    letters: {
+      ...LATIN_BASE,
+      ء: "ʼ",
+      ث: "th",
+      ح: "ḥ",
+      خ: "kh",
+      ذ: "dh",
+      ش: "sh",
+      ص: "ṣ",
+      ض: "ḍ",
+      ط: "ṭ",
+      ظ: "ẓ",
+      ع: "ʻ",
+      غ: "gh",
+    },
+    long: { a: "ā", i: "ī", u: "ū" },
+    maqsura: "á",
+    diphthongs: { w: "w", y: "y" },
+    taMarbuta: "h",
+    assimilate: false,
+  },
+  [TRANSLIT_SCHEMES.DIN]: {
+    letters: {
+      ...LATIN_BASE,
+      ء: "ʾ",
+      ث: "ṯ",
+      ج: "ǧ",
+      ح: "ḥ",
+      خ: "ḫ",
+      ذ: "ḏ",
+      ش: "š",
+      ص: "ṣ",
+      ض: "ḍ",
+      ط: "ṭ",
+      ظ: "ẓ",
+      ع: "ʿ",
+      غ: "ġ",
+    },
+    long: { a: "ā", i: "ī", u: "ū" },
+    maqsura: "ā",
+    diphthongs: { w: "u", y: "i" },
+    taMarbuta: "",
+    assimilate: true,
+  },
+});
+
+// Hamza seats all read as a glottal stop
+const consonantOf = (letter) => (HAMZAS.has(letter) ? "ء" : letter);
+
+function renderLatin(phonemes, scheme) {
+  let out = "";
+
+  phonemes.forEach((ph, i) => {
+    if (ph.raw) {
+      out += PUNCTUATION[ph.raw] ?? ph.raw;
+    } else if (ph.article) {
+      const sun = scheme.assimilate && ph.sun;
+      out += `${ph.elided ? "" : "a"}${sun ? scheme.letters[ph.sun] : "l"}-`;
+    } else if (ph.taMarbuta) {
+      out += scheme.taMarbuta;
+    } else if (ph.c) {
+      const letter = consonantOf(ph.c);
+      const prev = phonemes[i - 1];
+      const next = phonemes[i + 1];
+      // و/ي closing a syllable after a short a: aw/ay diphthong
+      const diphthong =
+        (ph.c === "و" || ph.c === "ي") &&
+        !ph.double &&
+        prev?.v === "a" &&
+        !prev.long &&
+        !next?.v;
+      const sound = diphthong
+        ? scheme.diphthongs[ph.c === "و" ? "w" : "y"]
+        : scheme.letters[letter] ?? "";
+      out += ph.double ? sound + sound : sound;
+    } else if (ph.elided) {
+      // Silent hamzat al-wasl
+    } else if (ph.v) {
+      if (!ph.long) out += ph.v;
+      else out += ph.maqsura ? scheme.maqsura : scheme.long[ph.v];
+    }
+  });
+
+  return out;
+}
+
+// ---- Bengali script ----
+// Follows the usual Islamic-text convention: fatha as া so it isn't read
+// as the inherent "o", ع and hamza as bare vowel letters.
+
+const BENGALI_LETTERS = Object.freeze({
+  ب: "ব",
+  ت: "ত",
+  ث: "ছ",
+  ج: "জ",
+  ح: "হ",
+  خ: "খ",
+  د: "দ",
+  ذ: "য",
+  ر: "র",
+  ز: "য",
+  س: "স",
+  ش: "শ",
+  ص: "ছ",
+  ض: "দ",
+  ط: "ত",
+  ظ: "য",
+  غ: "গ",
+  ف: "ফ",
+  ق: "ক",
+  ك: "ক",
+  ل: "ল",
+  م: "ম",
+  ن: "ন",
+  ه: "হ",
+});
+
+const BENGALI_SIGNS = Object.freeze({
+  a: "া",
+  i: "ি",
+  u: "ু",
+  aa: "া",
+  ii: "ী",
+  uu: "ূ",
+});
+
+const BENGALI_VOWELS = Object.freeze({
+  a: "আ",
+  i: "ই",
+  u: "উ",
+  aa: "আ",
+  ii: "ঈ",
+  uu: "ঊ",
+});
+
+const HASANTA = "\u09CD";
+const YA = "য়";
+
+const vowelKey = (ph) => (ph.long ? ph.v + ph.v : ph.v);
+
+function renderBengali(phonemes) {
+  let out = "";
+  let onset = true; // at a word start, where ي takes a vowel letter
+
+  for (let i = 0; i < phonemes.length; i++) {
+    const ph = phonemes[i];
+
+    if (ph.raw) {
+      out += PUNCTUATION[ph.raw] ?? ph.raw;
+      onset = true;
+      continue;
+    }
+    if (ph.article) {
+      const letter = ph.sun ? BENGALI_LETTERS[ph.sun] : "ল";
+      // An elided article closes the word before, as in বিসমিল্লাহির রাহমান
+      out = ph.elided ? `${out.trimEnd()}${letter} ` : `${out}আ${letter}-`;
+      onset = true;
+      continue;
+    }
+    if (ph.elided) {
+      out = out.trimEnd();
+      continue;
+    }
+    if (ph.taMarbuta) continue;
+
+    if (ph.v) {
+      // A vowel not carried by a consonant stands on its own letter
+      out += BENGALI_VOWELS[vowelKey(ph)];
+    } else {
+      const letter = consonantOf(ph.c);
+      const nextVowel = phonemes[i + 1]?.v ? vowelKey(phonemes[i + 1]) : null;
+      const sign = nextVowel ? BENGALI_SIGNS[nextVowel] : "";
+
+      if (letter === "ء" || letter === "ع") {
+        out += nextVowel ? BENGALI_VOWELS[nextVowel] : "";
+      } else if (ph.c === "و") {
+        out += nextVowel ? `ও${YA}${sign}` : "ও";
+      } else if (ph.c === "ي") {
+        out += nextVowel ? `${onset ? "ই" : ""}${YA}${sign}` : "ই";
+      } else {
+        const base = BENGALI_LETTERS[letter] ?? "";
+        out += (ph.double ? base + HASANTA + base : base) + sign;
+      }
+      // The following vowel went into this consonant's sign
+      if (nextVowel) i++;
+    }
+    onset = false;
+  }
+
+  return out;
+}
+
+const cache = new Map();
+
+// Transliterate vowelled Arabic text in one of TRANSLIT_SCHEMES
+export function transliterate(text, scheme = TRANSLIT_SCHEMES.SIMPLE) {
+  if (!text) return "";
+
+  const phonemes = toPhonemes(text);
+  return scheme === TRANSLIT_SCHEMES.BENGALI
+    ? renderBengali(phonemes)
+    : renderLatin(phonemes, LATIN_SCHEMES[scheme] ?? LATIN_SCHEMES.simple);
+}
+
+// The pronunciation line for a word: the data's own `pronunciation` for
+// Latin schemes, otherwise generated. Cached per word and scheme.
+export function pronunciationOf(word, scheme = TRANSLIT_SCHEMES.SIMPLE) {
+  if (word.pronunciation && scheme !== TRANSLIT_SCHEMES.BENGALI) {
+    return word.pronunciation;
+  }
+
+  const key = `${scheme}:${word.arabic}`;
+  if (!cache.has(key)) cache.set(key, transliterate(word.arabic, scheme));
+  return cache.get(key);
+}